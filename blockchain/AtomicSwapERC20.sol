@@ -2,9 +2,24 @@
 pragma solidity ^0.8.17;
 
 import "./ERC20.sol";
+import "./ERC20Permit.sol";
 
 contract AtomicSwapERC20 {
 
+    /**
+     * @dev EIP-2612 permit signed by the lock creator for this contract.
+     * @param deadline Timestamp after which the permit is invalid.
+     * @param v Signature recovery id.
+     * @param r Signature r value.
+     * @param s Signature s value.
+     */
+    struct PermitSignature {
+        uint deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
     /**
      * @dev Mapping of lockId to value stored in the lock.
      */
@@ -116,7 +131,84 @@ contract AtomicSwapERC20 {
      */
     function lockBuy(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 sellAssetId, uint sellPrice)
         external
-        
+    {
+        _lockBuy(token, recipient, hashedSecret, timeout, value, sellAssetId, sellPrice);
+    }
+
+    /**
+     * @dev Lock value to buy from a sell order, approving the transfer with a permit.
+     * @param token Token to lock. Must support EIP-2612.
+     * @param recipient Account that can unlock the lock.
+     * @param hashedSecret Hash of the secret.
+     * @param timeout Timestamp when the lock will expire.
+     * @param value Value of token to lock.
+     * @param sellAssetId Asset the buyer is buying
+     * @param sellPrice Unit price the buyer is paying for asset.
+     * @param permit Permit for this contract to transfer value from the sender.
+     */
+    function lockBuyWithPermit(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 sellAssetId, uint sellPrice, PermitSignature calldata permit)
+        external
+    {
+        _permit(token, value, permit);
+        _lockBuy(token, recipient, hashedSecret, timeout, value, sellAssetId, sellPrice);
+    }
+
+    /**
+     * @dev Lock value to sell in response to a buy lock.
+     * @param token Token to lock.
+     * @param recipient Account that can unlock the value.
+     * @param hashedSecret Hash of the secret.
+     * @param timeout Timestamp when the lock will expire.
+     * @param value Value of token to lock.
+     * @param buyAssetId Asset of the buy lock this lock is responding to.
+     * @param buyLockId Buy lock this lock is responding to.
+     */
+    function lockSell(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 buyAssetId, bytes32 buyLockId)
+        external
+    {
+        _lockSell(token, recipient, hashedSecret, timeout, value, buyAssetId, buyLockId);
+    }
+
+    /**
+     * @dev Lock value to sell in response to a buy lock, approving the transfer with a permit.
+     * @param token Token to lock. Must support EIP-2612.
+     * @param recipient Account that can unlock the value.
+     * @param hashedSecret Hash of the secret.
+     * @param timeout Timestamp when the lock will expire.
+     * @param value Value of token to lock.
+     * @param buyAssetId Asset of the buy lock this lock is responding to.
+     * @param buyLockId Buy lock this lock is responding to.
+     * @param permit Permit for this contract to transfer value from the sender.
+     */
+    function lockSellWithPermit(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 buyAssetId, bytes32 buyLockId, PermitSignature calldata permit)
+        external
+    {
+        _permit(token, value, permit);
+        _lockSell(token, recipient, hashedSecret, timeout, value, buyAssetId, buyLockId);
+    }
+
+    /**
+     * @dev Approve this contract to transfer value from the sender.
+     * @param token Token supporting EIP-2612.
+     * @param value Value to approve.
+     * @param permit Permit signed by the sender.
+     */
+    function _permit(ERC20 token, uint value, PermitSignature calldata permit)
+        internal
+    {
+        // Anyone can submit a permit seen in the mempool first, which uses up
+        // its nonce. The allowance is then already set, so a failed permit is
+        // ignored and the transfer decides.
+        try ERC20Permit(address(token)).permit(msg.sender, address(this), value, permit.deadline, permit.v, permit.r, permit.s) {
+        } catch {
+        }
+    }
+
+    /**
+     * @dev Create a lock for lockBuy and lockBuyWithPermit.
+     */
+    function _lockBuy(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 sellAssetId, uint sellPrice)
+        internal
     {
         // Calculate intrinsic lockId.
         bytes32 lockId = keccak256(abi.encode(token, msg.sender, recipient, hashedSecret, timeout));
@@ -134,17 +226,10 @@ contract AtomicSwapERC20 {
     }
 
     /**
-     * @dev Lock value to sell in response to a buy lock.
-     * @param token Token to lock.
-     * @param recipient Account that can unlock the value.
-     * @param hashedSecret Hash of the secret.
-     * @param timeout Timestamp when the lock will expire.
-     * @param value Value of token to lock.
-     * @param buyAssetId Asset of the buy lock this lock is responding to.
-     * @param buyLockId Buy lock this lock is responding to.
+     * @dev Create a lock for lockSell and lockSellWithPermit.
      */
-    function lockSell(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 buyAssetId, bytes32 buyLockId)
-        external
+    function _lockSell(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 buyAssetId, bytes32 buyLockId)
+        internal
     {
         // Calculate intrinsic lockId.
         bytes32 lockId = keccak256(abi.encode(token, msg.sender, recipient, hashedSecret, timeout));
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.17;
+
+/**
+ * @title Interface for ERC20 tokens supporting signed approvals.
+ * @dev https://eips.ethereum.org/EIPS/eip-2612
+ */
+interface ERC20Permit {
+    function permit(address _owner, address _spender, uint _value, uint _deadline, uint8 _v, bytes32 _r, bytes32 _s) external;
+    function nonces(address _owner) external view returns (uint);
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
+}
@@ -3,23 +3,9 @@ const path = require("path");
 const solc = require("solc");
 
 // Define contract files to compile
-const contractFiles = ["AtomicSwapERC20.sol", "ERC20.sol"];
+const contractFiles = ["AtomicSwapERC20.sol", "ERC20.sol", "ERC20Permit.sol"];
 const buildPath = path.join(__dirname, "build");
 
-// Ensure build directory exists
-if (!fs.existsSync(buildPath)) {
-  fs.mkdirSync(buildPath);
-}
-
-// Read the content of the contract files
-const sources = {};
-contractFiles.forEach(contractFile => {
-  const filePath = path.resolve(__dirname, contractFile);
-  sources[contractFile] = {
-    content: fs.readFileSync(filePath, 'utf8')
-  };
-});
-
 // Import callback for OpenZeppelin and other imports
 function findImports(importPath) {
   try {
@@ -46,57 +32,96 @@ function findImports(importPath) {
   }
 }
 
-const input = {
-  language: "Solidity",
-  sources,
-  settings: {
-    outputSelection: {
-      "*": {
-        "*": ["abi", "evm.bytecode.object"],
+// Compile the given contract files (paths relative to this directory) and
+// return { [contractName]: { abi, bytecode } }. Throws on compiler errors.
+// `evmVersion` targets an older EVM, e.g. for local test chains.
+function compileContracts(files = contractFiles, { evmVersion } = {}) {
+  // Read the content of the contract files
+  const sources = {};
+  files.forEach(contractFile => {
+    const filePath = path.resolve(__dirname, contractFile);
+    sources[contractFile] = {
+      content: fs.readFileSync(filePath, 'utf8')
+    };
+  });
+
+  const input = {
+    language: "Solidity",
+    sources,
+    settings: {
+      ...(evmVersion ? { evmVersion } : {}),
+      outputSelection: {
+        "*": {
+          "*": ["abi", "evm.bytecode.object"],
+        },
       },
     },
-  },
-};
-
-console.log("Compiling contracts...");
+  };
 
-try {
   const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
 
   // Error handling
   if (output.errors) {
     output.errors.forEach(err => {
-      console[err.severity === 'error' ? 'error' : 'warn'](err.formattedMessage);
+      if (err.severity !== 'error') console.warn(err.formattedMessage);
     });
-    if (output.errors.some(err => err.severity === 'error')) {
-      console.error("Compilation failed");
-      process.exit(1);
+    const errors = output.errors.filter(err => err.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error(`Compilation failed:\n${errors.map(err => err.formattedMessage).join("\n")}`);
     }
   }
 
-  // Write ABIs and bytecode to files
-  for (const contractFileName in output.contracts) {
-    for (const contractName in output.contracts[contractFileName]) {
-      const contract = output.contracts[contractFileName][contractName];
-      
-      // Write ABI to file
-      fs.writeFileSync(
-        path.join(buildPath, `${contractName}.abi`),
-        JSON.stringify(contract.abi, null, 2)
-      );
-      
-      // Write bytecode to file
-      fs.writeFileSync(
-        path.join(buildPath, `${contractName}.bin`),
-        contract.evm.bytecode.object
-      );
-      
-      console.log(`✅ Compiled ${contractName} successfully!`);
-      console.log(`- ABI saved to: ${path.join(buildPath, `${contractName}.abi`)}`);
-      console.log(`- Bytecode saved to: ${path.join(buildPath, `${contractName}.bin`)}`);
+  // Only the requested files; imported sources are compiled but not returned
+  const contracts = {};
+  files.forEach(contractFile => {
+    for (const contractName in output.contracts[contractFile]) {
+      const contract = output.contracts[contractFile][contractName];
+      contracts[contractName] = {
+        abi: contract.abi,
+        bytecode: contract.evm.bytecode.object
+      };
     }
+  });
+  return contracts;
+}
+
+// Write ABIs and bytecode to the build directory
+function writeBuild(contracts) {
+  // Ensure build directory exists
+  if (!fs.existsSync(buildPath)) {
+    fs.mkdirSync(buildPath);
   }
-} catch (error) {
-  console.error("Compilation error:", error);
-  process.exit(1);
-} 
\ No newline at end of file
+
+  for (const contractName in contracts) {
+    const contract = contracts[contractName];
+    
+    // Write ABI to file
+    fs.writeFileSync(
+      path.join(buildPath, `${contractName}.abi`),
+      JSON.stringify(contract.abi, null, 2)
+    );
+    
+    // Write bytecode to file
+    fs.writeFileSync(
+      path.join(buildPath, `${contractName}.bin`),
+      contract.bytecode
+    );
+    
+    console.log(`✅ Compiled ${contractName} successfully!`);
+    console.log(`- ABI saved to: ${path.join(buildPath, `${contractName}.abi`)}`);
+    console.log(`- Bytecode saved to: ${path.join(buildPath, `${contractName}.bin`)}`);
+  }
+}
+
+module.exports = { compileContracts, writeBuild, contractFiles, buildPath };
+
+if (require.main === module) {
+  console.log("Compiling contracts...");
+
+  try {
+    writeBuild(compileContracts());
+  } catch (error) {
+    console.error("Compilation error:", error.message || error);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,137 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { compileContracts } = require("./compile.js");
+
+// Deploys AtomicSwapERC20 and writes the artifacts the frontend reads.
+//
+// Usage:
+//   node deploy.js --rpc <url> --key <private key> [--evm-version <version>] [--accept-abi]
+//
+// RPC_URL and PRIVATE_KEY are used when the flags are not given.
+
+const CONTRACT_NAME = "AtomicSwapERC20";
+const frontendContractsPath = path.join(__dirname, "..", "frontend", "contracts");
+const abiPath = path.join(frontendContractsPath, `${CONTRACT_NAME}-abi.json`);
+const networksPath = path.join(frontendContractsPath, "networks.json");
+
+function parseArgs(argv) {
+  const options = {
+    rpc: process.env.RPC_URL,
+    key: process.env.PRIVATE_KEY,
+    evmVersion: undefined,
+    acceptAbi: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--rpc":
+        options.rpc = argv[++i];
+        break;
+      case "--key":
+        options.key = argv[++i];
+        break;
+      case "--evm-version":
+        options.evmVersion = argv[++i];
+        break;
+      case "--accept-abi":
+        options.acceptAbi = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!options.rpc) throw new Error("Missing RPC URL. Pass --rpc or set RPC_URL.");
+  if (!options.key) throw new Error("Missing private key. Pass --key or set PRIVATE_KEY.");
+  return options;
+}
+
+// Human-readable signatures, sorted, so formatting and ordering don't count
+function abiSignatures(abi) {
+  return new ethers.Interface(abi).format().slice().sort();
+}
+
+// Differences between the committed and the compiled ABI, as
+// { added, removed } signature lists. Both empty when they match.
+function compareAbi(committedAbi, compiledAbi) {
+  const committed = abiSignatures(committedAbi);
+  const compiled = abiSignatures(compiledAbi);
+  return {
+    added: compiled.filter(signature => !committed.includes(signature)),
+    removed: committed.filter(signature => !compiled.includes(signature))
+  };
+}
+
+async function deploy({ rpc, key, evmVersion, acceptAbi }) {
+  console.log("Compiling contracts...");
+  const { abi, bytecode } = compileContracts(undefined, { evmVersion })[CONTRACT_NAME];
+
+  // The frontend must never run against an ABI that differs from the source
+  if (fs.existsSync(abiPath)) {
+    const committedAbi = JSON.parse(fs.readFileSync(abiPath, "utf8"));
+    const { added, removed } = compareAbi(committedAbi, abi);
+    if (added.length > 0 || removed.length > 0) {
+      added.forEach(signature => console.error(`  + ${signature}`));
+      removed.forEach(signature => console.error(`  - ${signature}`));
+      if (!acceptAbi) {
+        throw new Error(
+          `${path.relative(process.cwd(), abiPath)} does not match the compiled ${CONTRACT_NAME}. ` +
+          "Review the changes above and rerun with --accept-abi to replace it."
+        );
+      }
+      console.warn("Replacing the committed ABI (--accept-abi)");
+    }
+  }
+
+  const provider = new ethers.JsonRpcProvider(rpc);
+  const wallet = new ethers.Wallet(key, provider);
+  const { chainId } = await provider.getNetwork();
+
+  console.log(`Deploying ${CONTRACT_NAME} to chain ${chainId} from ${wallet.address}...`);
+  const factory = new ethers.ContractFactory(abi, bytecode, wallet);
+  const contract = await factory.deploy();
+  const receipt = await contract.deploymentTransaction().wait();
+  const address = await contract.getAddress();
+
+  const deployment = {
+    address,
+    chainId: Number(chainId),
+    deploymentBlock: receipt.blockNumber
+  };
+
+  if (!fs.existsSync(frontendContractsPath)) {
+    fs.mkdirSync(frontendContractsPath, { recursive: true });
+  }
+  fs.writeFileSync(abiPath, JSON.stringify(abi, null, 2));
+
+  // Replace this chain's deployment, keeping its name, explorer and tokens
+  const networks = fs.existsSync(networksPath)
+    ? JSON.parse(fs.readFileSync(networksPath, "utf8"))
+    : {};
+  const chainKey = deployment.chainId.toString();
+  networks[chainKey] = {
+    ...networks[chainKey],
+    address: deployment.address,
+    deploymentBlock: deployment.deploymentBlock
+  };
+  fs.writeFileSync(networksPath, JSON.stringify(networks, null, 2) + "\n");
+
+  console.log(`✅ Deployed ${CONTRACT_NAME} at ${address} in block ${receipt.blockNumber}`);
+  console.log(`- ABI saved to: ${abiPath}`);
+  console.log(`- Deployment saved to: ${networksPath} (chain ${chainKey})`);
+  return deployment;
+}
+
+module.exports = { deploy, compareAbi };
+
+if (require.main === module) {
+  (async () => {
+    try {
+      await deploy(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+      console.error("Deployment error:", error.message || error);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @dev Mintable EIP-2612 token for tests.
+ */
+contract MockERC20Permit is ERC20Permit {
+
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) ERC20Permit(name) {
+    }
+
+    function mint(address to, uint value) external {
+        _mint(to, value);
+    }
+}
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import deployScript from '../deploy.js';
+
+const { compareAbi } = deployScript;
+
+const committedAbi = JSON.parse(readFileSync(new URL('../../frontend/contracts/AtomicSwapERC20-abi.json', import.meta.url), 'utf8'));
+
+const withoutEntry = (abi, name) => abi.filter(entry => entry.name !== name);
+
+describe("deploy ABI check", () => {
+  it("accepts the same ABI in another order", () => {
+    assert.deepEqual(compareAbi(committedAbi, [...committedAbi].reverse()), { added: [], removed: [] });
+  });
+
+  it("lists a changed signature as removed and added", () => {
+    const changed = committedAbi.map(entry => entry.name === 'getLockValue'
+      ? { ...entry, inputs: [{ name: 'lockId', type: 'uint256' }] }
+      : entry);
+
+    const { added, removed } = compareAbi(committedAbi, changed);
+    assert.equal(added.length, 1);
+    assert.equal(removed.length, 1);
+    assert.match(added[0], /getLockValue\(uint256/);
+    assert.match(removed[0], /getLockValue\(bytes32/);
+  });
+
+  it("lists entries missing from either ABI", () => {
+    const removed = compareAbi(committedAbi, withoutEntry(committedAbi, 'getLockValue'));
+    assert.deepEqual(removed.added, []);
+    assert.equal(removed.removed.length, 1);
+    assert.match(removed.removed[0], /^function getLockValue/);
+
+    const added = compareAbi(withoutEntry(committedAbi, 'Unlock'), committedAbi);
+    assert.deepEqual(added.removed, []);
+    assert.equal(added.added.length, 1);
+    assert.match(added.added[0], /^event Unlock/);
+  });
+});
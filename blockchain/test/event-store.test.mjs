@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEventStore, syncEvents, mergeEvents } from '../../frontend/src/lib/event-store.js';
+
+const CONTRACT = '0x00000000000000000000000000000000000000AA';
+
+const lockEvent = (type, lockId, blockNumber) => ({
+  type,
+  lockId,
+  blockNumber,
+  transactionHash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+  logIndex: 0,
+  timestamp: blockNumber * 1000
+});
+
+// Client stub serving `events` from a chain whose head is `latestBlock`,
+// recording every block range it is asked for
+const createChain = (events, latestBlock) => {
+  const chain = {
+    latestBlock,
+    queries: [],
+    client: {
+      provider: { getBlockNumber: async () => chain.latestBlock },
+      fetchEvents: async ({ fromBlock, toBlock }) => {
+        chain.queries.push([fromBlock, toBlock]);
+        return events.filter(event => event.blockNumber >= fromBlock && event.blockNumber <= toBlock);
+      }
+    }
+  };
+  return chain;
+};
+
+describe("event index", () => {
+  const events = [
+    lockEvent('LockBuy', '0x01', 120),
+    lockEvent('LockSell', '0x02', 180),
+    lockEvent('Unlock', '0x01', 260)
+  ];
+
+  it("backfills from the deployment block in chunks", async () => {
+    const chain = createChain(events, 250);
+    const store = createEventStore({ chainId: 1n, address: CONTRACT });
+    const progress = [];
+
+    const indexed = await syncEvents({
+      client: chain.client,
+      store,
+      deploymentBlock: 100,
+      chunkSize: 50,
+      onProgress: ({ fromBlock, toBlock }) => progress.push([fromBlock, toBlock])
+    });
+
+    assert.deepEqual(chain.queries, [[100, 149], [150, 199], [200, 249], [250, 250]]);
+    assert.deepEqual(progress, chain.queries);
+    assert.deepEqual(indexed.map(event => event.type), ['LockSell', 'LockBuy']);
+    assert.equal(await store.getLastIndexedBlock(), 250);
+  });
+
+  it("resumes after the last indexed block", async () => {
+    const chain = createChain(events, 250);
+    const store = createEventStore({ chainId: 1n, address: CONTRACT });
+    await syncEvents({ client: chain.client, store, deploymentBlock: 100, chunkSize: 1000 });
+
+    chain.queries = [];
+    const unchanged = await syncEvents({ client: chain.client, store, deploymentBlock: 100, chunkSize: 1000 });
+    assert.deepEqual(chain.queries, []);
+    assert.equal(unchanged.length, 2);
+
+    chain.latestBlock = 300;
+    const indexed = await syncEvents({ client: chain.client, store, deploymentBlock: 100, chunkSize: 1000 });
+    assert.deepEqual(chain.queries, [[251, 300]]);
+    assert.deepEqual(indexed.map(event => event.type), ['Unlock', 'LockSell', 'LockBuy']);
+  });
+
+  it("never indexes blocks before the deployment block", async () => {
+    const chain = createChain(events, 300);
+    const store = createEventStore({ chainId: 1n, address: CONTRACT });
+    // A cursor left behind by an older, earlier deployment block
+    await store.putEvents([], 10);
+
+    await syncEvents({ client: chain.client, store, deploymentBlock: 200, chunkSize: 1000 });
+    assert.deepEqual(chain.queries, [[200, 300]]);
+  });
+
+  it("keeps live events received during a sync", () => {
+    const indexed = [events[1], events[0]];
+    const live = [
+      lockEvent('Unlock', '0x01', 260),
+      // Also indexed, but seen live first with the local clock
+      { ...events[1], timestamp: Date.now() }
+    ];
+
+    const merged = mergeEvents(indexed, live);
+    assert.deepEqual(merged.map(event => event.type), ['Unlock', 'LockSell', 'LockBuy']);
+    assert.equal(merged[1], events[1]);
+  });
+
+  it("keeps every use of a reused lock ID", () => {
+    // The same terms locked again after the first lock was unlocked
+    const relocked = lockEvent('LockBuy', '0x01', 300);
+    const merged = mergeEvents(events, [relocked]);
+    assert.deepEqual(merged.map(event => event.blockNumber), [300, 260, 180, 120]);
+  });
+
+  it("matches live events without a transaction hash by type and lock ID", () => {
+    const unmatched = { ...lockEvent('LockSell', '0x03', 0), transactionHash: null, timestamp: Date.now() };
+    const live = [
+      { ...events[0], lockId: '0x01', transactionHash: null, logIndex: null },
+      unmatched
+    ];
+
+    const merged = mergeEvents(events, live);
+    assert.equal(merged.length, 4);
+    assert.equal(merged[0], unmatched);
+    assert.ok(merged.includes(events[0]));
+  });
+});
@@ -0,0 +1,91 @@
+// In-process chain for the end-to-end tests: compiles the swap contract and a
+// mock token with compile.js, starts ganache and deploys both.
+import ganache from 'ganache';
+import { ethers } from 'ethers';
+import { compileContracts } from '../compile.js';
+import { SwapClient } from '../../frontend/src/lib/swap-client.js';
+
+export const TOKEN_DECIMALS = 6;
+
+let compiled = null;
+
+const getCompiled = () => {
+  if (!compiled) {
+    // ganache does not implement opcodes newer than shanghai
+    compiled = compileContracts(
+      ["AtomicSwapERC20.sol", "test/MockERC20.sol", "test/MockERC20Permit.sol"],
+      { evmVersion: "shanghai" }
+    );
+  }
+  return compiled;
+};
+
+const deploy = async (signer, { abi, bytecode }, args = []) => {
+  const factory = new ethers.ContractFactory(abi, bytecode, signer);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+};
+
+// Start a fresh chain with the contracts deployed. `buyer` and `seller` each
+// hold 1000 units of their own token and of the EIP-2612 `permitToken`.
+export const startLocalChain = async () => {
+  const { AtomicSwapERC20, MockERC20, MockERC20Permit } = getCompiled();
+
+  const ganacheProvider = ganache.provider({
+    logging: { quiet: true },
+    wallet: { totalAccounts: 3, deterministic: true },
+    chain: { chainId: 1337 }
+  });
+  // Wallets take typed data as a JSON string, ganache only as an object
+  const eip1193 = {
+    request: ({ method, params }) => ganacheProvider.request(
+      method === "eth_signTypedData_v4"
+        ? { method, params: [params[0], JSON.parse(params[1])] }
+        : { method, params }
+    )
+  };
+  // No request cache: a query repeated right after a transaction must see it
+  const provider = new ethers.BrowserProvider(eip1193, 1337, { polling: true, pollingInterval: 50, cacheTimeout: -1 });
+  const [deployer, buyer, seller] = await Promise.all([0, 1, 2].map(index => provider.getSigner(index)));
+
+  const swap = await deploy(deployer, AtomicSwapERC20);
+  const buyerToken = await deploy(deployer, MockERC20, ["Buyer Token", "BUY", TOKEN_DECIMALS]);
+  const sellerToken = await deploy(deployer, MockERC20, ["Seller Token", "SELL", TOKEN_DECIMALS]);
+  const permitToken = await deploy(deployer, MockERC20Permit, ["Permit Token", "PERMIT"]);
+
+  const initialBalance = ethers.parseUnits("1000", TOKEN_DECIMALS);
+  await (await buyerToken.mint(await buyer.getAddress(), initialBalance)).wait();
+  await (await sellerToken.mint(await seller.getAddress(), initialBalance)).wait();
+  // ERC20Permit keeps the default 18 decimals
+  const permitBalance = ethers.parseUnits("1000", 18);
+  await (await permitToken.mint(await buyer.getAddress(), permitBalance)).wait();
+  await (await permitToken.mint(await seller.getAddress(), permitBalance)).wait();
+
+  const swapAddress = await swap.getAddress();
+  // The same client the frontend uses, bound to each trader
+  const clientFor = (runner) => new SwapClient({
+    address: swapAddress,
+    abi: AtomicSwapERC20.abi,
+    tokenAbi: MockERC20.abi,
+    runner
+  });
+
+  return {
+    provider,
+    buyer,
+    seller,
+    buyerToken,
+    sellerToken,
+    permitToken,
+    initialBalance,
+    buyerClient: clientFor(buyer),
+    sellerClient: clientFor(seller),
+    // Move chain time forward and mine a block at the new time
+    increaseTime: async (seconds) => {
+      await provider.send("evm_increaseTime", [seconds]);
+      await provider.send("evm_mine", []);
+    },
+    stop: () => ganacheProvider.disconnect()
+  };
+};
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSecret, hashSecret } from '../../frontend/src/lib/secret.js';
+import { createSecretVault, MAX_KDF_ITERATIONS } from '../../frontend/src/lib/secret-vault.js';
+
+// Few KDF iterations keep the tests fast
+const openVault = async (passphrase) => {
+  const vault = createSecretVault({ iterations: 1000 });
+  await vault.unlock(passphrase);
+  return vault;
+};
+
+const LOCK_ID = '0x' + 'AB'.repeat(32);
+
+describe("secret vault", () => {
+  it("stores secrets only while unlocked", async () => {
+    const vault = createSecretVault({ iterations: 1000 });
+    assert.equal(await vault.exists(), false);
+    await assert.rejects(vault.save({ secret: generateSecret() }), /locked/);
+
+    await vault.unlock("buyer passphrase");
+    assert.equal(await vault.exists(), true);
+
+    const secret = generateSecret();
+    const saved = await vault.save({ secret, lockId: LOCK_ID, timeout: 1700000000, chainId: 1337n });
+    assert.equal(saved.lockId, LOCK_ID.toLowerCase());
+    assert.equal(saved.chainId, '1337');
+    assert.equal(vault.findSecret(hashSecret(secret).toUpperCase()), secret);
+
+    vault.lock();
+    assert.equal(vault.findSecret(hashSecret(secret)), null);
+    await assert.rejects(vault.unlock("wrong passphrase"), /Wrong vault passphrase/);
+
+    const entries = await vault.unlock("buyer passphrase");
+    assert.deepEqual(entries.map(entry => entry.secret), [secret]);
+  });
+
+  it("fills in details when a secret is saved again", async () => {
+    const vault = await openVault("buyer passphrase");
+    const secret = generateSecret();
+
+    const first = await vault.save({ secret });
+    const second = await vault.save({ secret, lockId: LOCK_ID });
+    assert.equal(vault.getEntries().length, 1);
+    assert.equal(second.lockId, LOCK_ID.toLowerCase());
+    assert.equal(second.createdAt, first.createdAt);
+  });
+
+  it("restores a backup into another vault", async () => {
+    const vault = await openVault("buyer passphrase");
+    const secret = generateSecret();
+    await vault.save({ secret, lockId: LOCK_ID });
+    const backup = await vault.exportBackup();
+    assert.ok(!backup.includes(secret.slice(2)));
+
+    const restored = await openVault("laptop passphrase");
+    await assert.rejects(restored.importBackup(backup, "wrong passphrase"), /Wrong passphrase for this backup/);
+    await assert.rejects(restored.importBackup("{}", "buyer passphrase"), /not a vault backup/);
+    assert.equal(await restored.importBackup(backup, "buyer passphrase"), 1);
+    assert.equal(restored.findSecret(hashSecret(secret)), secret);
+    assert.equal(restored.getEntries()[0].lockId, LOCK_ID.toLowerCase());
+  });
+
+  it("rejects backups with out-of-range key derivation iterations", async () => {
+    const vault = await openVault("buyer passphrase");
+    await vault.save({ secret: generateSecret() });
+    const backup = JSON.parse(await vault.exportBackup());
+
+    const restored = await openVault("laptop passphrase");
+    for (const iterations of [0, -1, 1.5, "1000", null, MAX_KDF_ITERATIONS + 1]) {
+      await assert.rejects(
+        restored.importBackup(JSON.stringify({ ...backup, iterations }), "buyer passphrase"),
+        /iterations must be a whole number/
+      );
+    }
+    assert.equal(restored.getEntries().length, 0);
+  });
+});
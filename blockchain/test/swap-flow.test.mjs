@@ -0,0 +1,457 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { inspect } from 'node:util';
+import { ethers } from 'ethers';
+import { startLocalChain, TOKEN_DECIMALS } from './local-chain.mjs';
+import { generateSecret, hashSecret } from '../../frontend/src/lib/secret.js';
+import { getChainTime, MIN_LOCK_DURATION } from '../../frontend/src/lib/timeout.js';
+import { buildSwaps, SWAP_STATES } from '../../frontend/src/lib/swap-lifecycle.js';
+import { findRevealedSecretClaims } from '../../frontend/src/lib/secret-watcher.js';
+import { parseTokenAmount, formatTokenAmount } from '../../frontend/src/lib/token-metadata.js';
+import { resolveApprovalAmount, isUnlimitedAllowance, APPROVAL_MODES } from '../../frontend/src/lib/allowances.js';
+import { verifyLockForUnlock, checkSellTimeout, findLockEvent } from '../../frontend/src/lib/lock-verification.js';
+import { inspectLock, LOCK_ACTIONS } from '../../frontend/src/lib/lock-inspection.js';
+import { offerFromLockBuy, encodeOffer, decodeOffer, verifyOffer } from '../../frontend/src/lib/offer.js';
+import { lockQrText, parseQrText } from '../../frontend/src/lib/qr-payload.js';
+import { redact } from '../../frontend/src/lib/logger.js';
+import { deriveSecret, rederiveSecret, derivationChanges } from '../../frontend/src/lib/secret-derivation.js';
+
+const units = (amount) => ethers.parseUnits(amount, TOKEN_DECIMALS);
+const assetId = (name) => ethers.keccak256(ethers.toUtf8Bytes(name));
+
+describe("AtomicSwapERC20 swap flow", () => {
+  let chain;
+  let buyerAddress;
+  let sellerAddress;
+  let buyToken;
+  let sellToken;
+
+  before(async () => {
+    chain = await startLocalChain();
+    buyerAddress = await chain.buyer.getAddress();
+    sellerAddress = await chain.seller.getAddress();
+    buyToken = await chain.buyerToken.getAddress();
+    sellToken = await chain.sellerToken.getAddress();
+  });
+
+  after(async () => {
+    await chain.stop();
+  });
+
+  const balanceOf = async (token, owner) => token.balanceOf(owner);
+
+  const lockBuy = async ({ secret, timeout, value = units("10") }, options) => {
+    return chain.buyerClient.lockBuy({
+      token: buyToken,
+      recipient: sellerAddress,
+      hashedSecret: hashSecret(secret),
+      timeout,
+      value,
+      sellAssetId: assetId("SELL"),
+      sellPrice: units("1")
+    }, options);
+  };
+
+  it("reads token metadata and converts human amounts", async () => {
+    const metadata = await chain.buyerClient.getTokenMetadata(buyToken);
+    assert.deepEqual(metadata, { address: buyToken, decimals: TOKEN_DECIMALS, symbol: "BUY", name: "Buyer Token" });
+
+    const balance = await chain.buyerClient.getTokenBalance(buyToken);
+    assert.equal(balance.symbol, "BUY");
+    assert.equal(balance.formatted, formatTokenAmount(await balanceOf(chain.buyerToken, buyerAddress), TOKEN_DECIMALS));
+
+    assert.equal(parseTokenAmount("1.5", metadata.decimals), 1500000n);
+    assert.throws(() => parseTokenAmount("0.0000001", metadata.decimals), /at most 6 decimal places/);
+  });
+
+  it("completes lockBuy, lockSell, unlock, unlock", async () => {
+    const secret = generateSecret();
+    const now = await getChainTime(chain.provider);
+    const buyerBuyBalance = await balanceOf(chain.buyerToken, buyerAddress);
+    const sellerSellBalance = await balanceOf(chain.sellerToken, sellerAddress);
+
+    const buy = await lockBuy({ secret, timeout: now + 7200 });
+    assert.equal(buy.lockIdVerified, true);
+    assert.equal(await chain.buyerClient.getLockValue(buy.lockId), units("10"));
+
+    const sell = await chain.sellerClient.lockSell({
+      token: sellToken,
+      recipient: buyerAddress,
+      hashedSecret: hashSecret(secret),
+      timeout: now + 3600,
+      value: units("5"),
+      buyAssetId: assetId("BUY"),
+      buyLockId: buy.lockId
+    });
+    assert.equal(await chain.sellerClient.getLockValue(sell.lockId), units("5"));
+
+    let events = await chain.sellerClient.fetchEvents();
+    let swap = buildSwaps(events, now).find(candidate => candidate.id === buy.lockId);
+    assert.equal(swap.state, SWAP_STATES.COUNTERED);
+
+    // Buyer checks the seller's lock before revealing the secret
+    const verify = (expectedValue) => verifyLockForUnlock({
+      lockId: sell.lockId,
+      lockValue: units("5"),
+      events,
+      account: buyerAddress,
+      expectedToken: sellToken,
+      expectedValue,
+      now
+    });
+    assert.deepEqual(verify(units("5")).problems, []);
+    assert.match(verify(units("6")).problems.join(), /less than the expected/);
+
+    // Buyer reveals the secret by taking the seller's tokens
+    await chain.buyerClient.unlock({
+      token: sellToken,
+      creator: sellerAddress,
+      secret,
+      timeout: now + 3600,
+      hashedSecret: hashSecret(secret)
+    });
+
+    // Seller picks the secret up from the Unlock event
+    events = await chain.sellerClient.fetchEvents();
+    const [claim] = findRevealedSecretClaims(events, sellerAddress, now);
+    assert.equal(claim.lockId, buy.lockId);
+    assert.equal(claim.secret, secret);
+
+    await chain.sellerClient.unlock(claim);
+
+    assert.equal(await chain.buyerClient.getLockValue(buy.lockId), 0n);
+    assert.equal(await chain.sellerClient.getLockValue(sell.lockId), 0n);
+    assert.equal(await balanceOf(chain.buyerToken, buyerAddress), buyerBuyBalance - units("10"));
+    assert.equal(await balanceOf(chain.buyerToken, sellerAddress), units("10"));
+    assert.equal(await balanceOf(chain.sellerToken, sellerAddress), sellerSellBalance - units("5"));
+    assert.equal(await balanceOf(chain.sellerToken, buyerAddress), units("5"));
+
+    events = await chain.buyerClient.fetchEvents();
+    swap = buildSwaps(events, now).find(candidate => candidate.id === buy.lockId);
+    assert.equal(swap.state, SWAP_STATES.UNLOCKED);
+    assert.equal(swap.completed, true);
+  });
+
+  it("shares a buy lock as an offer link the seller can verify", async () => {
+    const secret = generateSecret();
+    const now = await getChainTime(chain.provider);
+    const buy = await lockBuy({ secret, timeout: now + 7200 });
+    const buyEvent = findLockEvent(await chain.buyerClient.fetchEvents(), buy.lockId);
+    const contract = chain.sellerClient.address;
+
+    const link = encodeOffer(offerFromLockBuy(buyEvent, { chainId: 1337, contract, sellToken, sellAmount: "5" }));
+    const offer = decodeOffer(link);
+    assert.equal(offer.seller, sellerAddress);
+    assert.equal(offer.hashedSecret, hashSecret(secret));
+    assert.equal(offer.sellAmount, "5");
+
+    const lockValue = await chain.sellerClient.getLockValue(buy.lockId);
+    const checkOffer = (candidate, context = {}) => verifyOffer(candidate, {
+      lockEvent: buyEvent,
+      lockValue,
+      account: sellerAddress,
+      chainId: 1337n,
+      contract,
+      ...context
+    });
+    assert.deepEqual(checkOffer(offer), []);
+    assert.match(checkOffer({ ...offer, value: units("20").toString() }).join(), /value does not match/);
+    assert.match(checkOffer(offer, { account: buyerAddress }).join(), /another seller/);
+    assert.match(checkOffer(offer, { lockValue: 0n }).join(), /no longer holds any funds/);
+    assert.match(checkOffer(offer, { lockValue: null }).join(), /Could not verify/);
+
+    // The form must still submit what the offer prefilled
+    const form = { recipient: buyerAddress, hashedSecret: offer.hashedSecret, buyAssetId: offer.sellAssetId, buyLockId: buy.lockId };
+    assert.deepEqual(checkOffer(offer, { form }), []);
+    const edited = checkOffer(offer, { form: { ...form, recipient: sellerAddress, hashedSecret: hashSecret(generateSecret()) } });
+    assert.equal(edited.length, 2);
+    assert.match(edited.join(), /recipient was changed/);
+    assert.match(edited.join(), /hashedSecret was changed/);
+
+    // A damaged link fails its checksum
+    const [payload, checksum] = link.split('.');
+    assert.throws(() => decodeOffer(`${payload}.${checksum.replace(/./, c => c === '0' ? '1' : '0')}`), /checksum/);
+  });
+
+  it("exports locks as QR codes and reads them back", async () => {
+    const secret = generateSecret();
+    const now = await getChainTime(chain.provider);
+    const buy = await lockBuy({ secret, timeout: now + 7200 });
+    const sell = await chain.sellerClient.lockSell({
+      token: sellToken,
+      recipient: buyerAddress,
+      hashedSecret: hashSecret(secret),
+      timeout: now + 3600,
+      value: units("5"),
+      buyAssetId: assetId("BUY"),
+      buyLockId: buy.lockId
+    });
+    const events = await chain.sellerClient.fetchEvents();
+    const qrOptions = { chainId: 1337, contract: chain.sellerClient.address, origin: "https://swap.example" };
+
+    // A buy lock is exported as its offer link
+    const buyQr = parseQrText(lockQrText(findLockEvent(events, buy.lockId), qrOptions));
+    assert.equal(buyQr.kind, 'offer');
+    assert.equal(buyQr.lockId, buy.lockId.toLowerCase());
+    assert.equal(buyQr.offer.hashedSecret, hashSecret(secret));
+    assert.equal(buyQr.terms.recipient, sellerAddress);
+
+    // Any other lock as its inspector link with the terms
+    const sellQr = parseQrText(lockQrText(findLockEvent(events, sell.lockId), qrOptions));
+    assert.equal(sellQr.kind, 'lock');
+    assert.equal(sellQr.lockId, sell.lockId.toLowerCase());
+    assert.equal(sellQr.terms.creator, sellerAddress);
+    assert.equal(sellQr.terms.timeout, now + 3600);
+
+    assert.throws(() => parseQrText("https://swap.example/swap"), /does not hold/);
+  });
+
+  it("blocks unlocking a sell lock that expires too close to the buy lock", async () => {
+    const secret = generateSecret();
+    const now = await getChainTime(chain.provider);
+    const buy = await lockBuy({ secret, timeout: now + 7200 });
+
+    // The form and blockchain context refuse this timeout, the contract doesn't
+    const buyEvent = findLockEvent(await chain.sellerClient.fetchEvents(), buy.lockId);
+    assert.equal(checkSellTimeout(now + 3600, buyEvent), null);
+    assert.match(checkSellTimeout(now + 7000, buyEvent), /must be at or before/);
+
+    const sell = await chain.sellerClient.lockSell({
+      token: sellToken,
+      recipient: buyerAddress,
+      hashedSecret: hashSecret(secret),
+      timeout: now + 7000,
+      value: units("5"),
+      buyAssetId: assetId("BUY"),
+      buyLockId: buy.lockId
+    });
+
+    const result = verifyLockForUnlock({
+      lockId: sell.lockId,
+      lockValue: await chain.buyerClient.getLockValue(sell.lockId),
+      events: await chain.buyerClient.fetchEvents(),
+      account: buyerAddress,
+      expectedToken: sellToken,
+      now
+    });
+    assert.equal(result.ok, false);
+    assert.equal(result.problems.length, 1);
+    assert.match(result.problems[0], /only 3m before your lock/);
+  });
+
+  it("locks EIP-2612 tokens with a permit instead of an approve", async () => {
+    const secret = generateSecret();
+    const now = await getChainTime(chain.provider);
+    const permitToken = await chain.permitToken.getAddress();
+    const value = ethers.parseUnits("10", 18);
+    const selector = (name) => chain.buyerClient.contract.interface.getFunction(name).selector;
+
+    const buyerNonce = await chain.provider.getTransactionCount(buyerAddress);
+    const buy = await chain.buyerClient.lockBuy({
+      token: permitToken,
+      recipient: sellerAddress,
+      hashedSecret: hashSecret(secret),
+      timeout: now + 7200,
+      value,
+      sellAssetId: assetId("SELL"),
+      sellPrice: units("1")
+    });
+    assert.ok(buy.tx.data.startsWith(selector("lockBuyWithPermit")));
+    assert.equal(buy.lockIdVerified, true);
+    assert.equal(await chain.provider.getTransactionCount(buyerAddress), buyerNonce + 1);
+    assert.equal(await chain.buyerClient.getLockValue(buy.lockId), value);
+    assert.equal(await chain.buyerClient.getAllowance(permitToken), 0n);
+
+    const sellerNonce = await chain.provider.getTransactionCount(sellerAddress);
+    const sell = await chain.sellerClient.lockSell({
+      token: permitToken,
+      recipient: buyerAddress,
+      hashedSecret: hashSecret(secret),
+      timeout: now + 3600,
+      value,
+      buyAssetId: assetId("BUY"),
+      buyLockId: buy.lockId
+    });
+    assert.ok(sell.tx.data.startsWith(selector("lockSellWithPermit")));
+    assert.equal(await chain.provider.getTransactionCount(sellerAddress), sellerNonce + 1);
+    assert.equal(await chain.sellerClient.getLockValue(sell.lockId), value);
+  });
+
+  it("approves the chosen allowance and revokes it", async () => {
+    const now = await getChainTime(chain.provider);
+    const custom = { mode: APPROVAL_MODES.CUSTOM, amount: "25" };
+    assert.equal(resolveApprovalAmount(custom, units("10"), TOKEN_DECIMALS), units("25"));
+    assert.throws(() => resolveApprovalAmount(custom, units("30"), TOKEN_DECIMALS), /less than the lock value/);
+
+    const approveAmount = resolveApprovalAmount({ mode: APPROVAL_MODES.UNLIMITED }, units("10"), TOKEN_DECIMALS);
+    await lockBuy({ secret: generateSecret(), timeout: now + 7200 }, { approveAmount });
+    assert.ok(isUnlimitedAllowance(await chain.buyerClient.getAllowance(buyToken)));
+
+    // The next lock needs no approval
+    const buyerNonce = await chain.provider.getTransactionCount(buyerAddress);
+    await lockBuy({ secret: generateSecret(), timeout: now + 7200 });
+    assert.equal(await chain.provider.getTransactionCount(buyerAddress), buyerNonce + 1);
+
+    await chain.buyerClient.approve(buyToken, 0n);
+    assert.equal(await chain.buyerClient.getAllowance(buyToken), 0n);
+  });
+
+  it("refunds the buyer when the seller declines", async () => {
+    const secret = generateSecret();
+    const now = await getChainTime(chain.provider);
+    const balanceBefore = await balanceOf(chain.buyerToken, buyerAddress);
+
+    const buy = await lockBuy({ secret, timeout: now + 7200 });
+    assert.equal(await balanceOf(chain.buyerToken, buyerAddress), balanceBefore - units("10"));
+
+    await chain.sellerClient.decline({
+      token: buyToken,
+      creator: buyerAddress,
+      hashedSecret: hashSecret(secret),
+      timeout: now + 7200
+    });
+
+    assert.equal(await chain.buyerClient.getLockValue(buy.lockId), 0n);
+    assert.equal(await balanceOf(chain.buyerToken, buyerAddress), balanceBefore);
+
+    const events = await chain.buyerClient.fetchEvents();
+    const swap = buildSwaps(events, now).find(candidate => candidate.id === buy.lockId);
+    assert.equal(swap.state, SWAP_STATES.DECLINED);
+  });
+
+  it("lets the buyer retrieve only after the timeout", async () => {
+    const secret = generateSecret();
+    const now = await getChainTime(chain.provider);
+    const timeout = now + MIN_LOCK_DURATION;
+    const balanceBefore = await balanceOf(chain.buyerToken, buyerAddress);
+    const retrieveParams = {
+      token: buyToken,
+      recipient: sellerAddress,
+      hashedSecret: hashSecret(secret),
+      timeout
+    };
+
+    const buy = await lockBuy({ secret, timeout });
+
+    await assert.rejects(
+      chain.buyerClient.retrieve(retrieveParams),
+      { name: 'SwapContractError', errorName: 'LockNotTimedOut' }
+    );
+
+    const allowedActions = (inspection) => inspection.actions
+      .filter(action => action.allowed)
+      .map(action => action.action);
+
+    // Before the timeout the seller may unlock or decline, the buyer nothing
+    let events = await chain.buyerClient.fetchEvents();
+    const inspect = async (account, at) => inspectLock({
+      lockId: buy.lockId,
+      lockValue: await chain.buyerClient.getLockValue(buy.lockId),
+      events,
+      account,
+      now: at
+    });
+    let inspection = await inspect(sellerAddress, now);
+    assert.equal(inspection.lockValue, units("10"));
+    assert.equal(inspection.lockEvent.type, 'LockBuy');
+    assert.equal(inspection.remaining, MIN_LOCK_DURATION);
+    assert.deepEqual(allowedActions(inspection), [LOCK_ACTIONS.UNLOCK, LOCK_ACTIONS.DECLINE]);
+    assert.deepEqual(allowedActions(await inspect(buyerAddress, now)), []);
+
+    await chain.increaseTime(MIN_LOCK_DURATION + 1);
+    const later = await getChainTime(chain.provider);
+
+    // Afterwards only the buyer's retrieve remains, plus the seller's decline
+    assert.deepEqual(allowedActions(await inspect(buyerAddress, later)), [LOCK_ACTIONS.RETRIEVE]);
+    assert.deepEqual(allowedActions(await inspect(sellerAddress, later)), [LOCK_ACTIONS.DECLINE]);
+
+    events = await chain.buyerClient.fetchEvents();
+    let swap = buildSwaps(events, later).find(candidate => candidate.id === buy.lockId);
+    assert.equal(swap.state, SWAP_STATES.EXPIRED_RETRIEVABLE);
+
+    // Too late for the seller to unlock
+    await assert.rejects(
+      chain.sellerClient.unlock({ token: buyToken, creator: buyerAddress, secret, timeout }),
+      { name: 'SwapContractError', errorName: 'LockTimedOut' }
+    );
+
+    await chain.buyerClient.retrieve(retrieveParams);
+
+    assert.equal(await chain.buyerClient.getLockValue(buy.lockId), 0n);
+    assert.equal(await balanceOf(chain.buyerToken, buyerAddress), balanceBefore);
+
+    events = await chain.buyerClient.fetchEvents();
+    swap = buildSwaps(events, later).find(candidate => candidate.id === buy.lockId);
+    assert.equal(swap.state, SWAP_STATES.RETRIEVED);
+
+    inspection = await inspect(buyerAddress, later);
+    assert.equal(inspection.resolution.type, 'Retrieve');
+    assert.deepEqual(allowedActions(inspection), []);
+  });
+
+  it("keeps secrets out of logs, including failed unlocks", async () => {
+    const secret = generateSecret();
+    const now = await getChainTime(chain.provider);
+    const timeout = now + MIN_LOCK_DURATION;
+    await lockBuy({ secret, timeout });
+
+    // Fields are redacted by name, hashes are kept
+    const unlockEvent = { type: 'Unlock', lockId: '0x01', secret, hashedSecret: hashSecret(secret) };
+    const logged = redact([{ events: [unlockEvent], claim: { secret } }]);
+    assert.equal(logged[0].events[0].secret, '[redacted secret]');
+    assert.equal(logged[0].events[0].hashedSecret, hashSecret(secret));
+    assert.equal(logged[0].claim.secret, '[redacted secret]');
+
+    // A reverted unlock carries its calldata, and with it the secret
+    await chain.increaseTime(MIN_LOCK_DURATION + 1);
+    const error = await chain.sellerClient.unlock({ token: buyToken, creator: buyerAddress, secret, timeout })
+      .then(() => assert.fail("unlock should revert"), reason => reason);
+    assert.equal(error.errorName, 'LockTimedOut');
+    assert.ok(inspect(error, { depth: null }).includes(secret.slice(2)));
+
+    const loggedError = redact(error);
+    assert.equal(loggedError.name, 'SwapContractError');
+    assert.equal(loggedError.errorName, 'LockTimedOut');
+    assert.equal(loggedError.message, error.message);
+    assert.ok(!inspect(redact(["Error in unlock transaction:", error]), { depth: null }).includes(secret.slice(2)));
+  });
+
+  it("recovers a derived secret by signing the lock's terms again", async () => {
+    const now = await getChainTime(chain.provider);
+    const contract = chain.buyerClient.address;
+    const terms = { chainId: 1337, contract, token: buyToken, counterparty: sellerAddress, timeout: now + 7200 };
+
+    const secret = await deriveSecret(chain.buyer, terms);
+    assert.equal(await deriveSecret(chain.buyer, terms), secret);
+    assert.notEqual(await deriveSecret(chain.buyer, { ...terms, nonce: 1 }), secret);
+
+    await lockBuy({ secret, timeout: terms.timeout });
+    const events = await chain.buyerClient.fetchEvents();
+
+    const recovery = { events, account: buyerAddress, chainId: 1337, contract, hashedSecret: hashSecret(secret) };
+    assert.equal(await rederiveSecret(chain.buyer, recovery), secret);
+    await assert.rejects(rederiveSecret(chain.buyer, { ...recovery, nonce: 1 }), /does not give this lock's secret/);
+    await assert.rejects(rederiveSecret(chain.seller, { ...recovery, account: sellerAddress }), /None of your indexed buy locks/);
+  });
+
+  it("locks with the derived terms after chain time moves on", async () => {
+    const now = await getChainTime(chain.provider);
+    const contract = chain.buyerClient.address;
+    const derivation = { token: buyToken, counterparty: sellerAddress, timeout: now + 9000, nonce: '0' };
+    const secret = await deriveSecret(chain.buyer, { chainId: 1337, contract, ...derivation });
+
+    // The form stays open while the wallet asks for the signature
+    await chain.increaseTime(600);
+
+    const form = { token: buyToken.toLowerCase(), counterparty: sellerAddress, nonce: '0' };
+    assert.deepEqual(derivationChanges(derivation, form), []);
+    assert.deepEqual(derivationChanges(derivation, { ...form, counterparty: buyerAddress, nonce: '1' }), ['recipient', 'nonce']);
+
+    const buy = await lockBuy({ secret, timeout: derivation.timeout });
+    assert.equal(await chain.buyerClient.getLockValue(buy.lockId), units("10"));
+
+    const events = await chain.buyerClient.fetchEvents();
+    const recovery = { events, account: buyerAddress, chainId: 1337, contract, hashedSecret: hashSecret(secret) };
+    assert.equal(await rederiveSecret(chain.buyer, recovery), secret);
+  });
+});
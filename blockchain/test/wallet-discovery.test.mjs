@@ -0,0 +1,94 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { watchWallets, LEGACY_WALLET_RDNS } from '../../frontend/src/lib/wallet-discovery.js';
+
+const walletInfo = (name, uuid = `${name}-uuid`) => ({
+  uuid,
+  name,
+  icon: 'data:image/svg+xml,<svg/>',
+  rdns: `io.${name.toLowerCase()}`
+});
+
+const announce = (info, provider) => {
+  window.dispatchEvent(new CustomEvent('eip6963:announceProvider', { detail: { info, provider } }));
+};
+
+describe("wallet discovery", () => {
+  let requests;
+  let stopWatching;
+
+  beforeEach(() => {
+    // Only what the module touches: events and window.ethereum
+    globalThis.window = new EventTarget();
+    requests = 0;
+    window.addEventListener('eip6963:requestProvider', () => requests++);
+  });
+
+  afterEach(() => {
+    if (stopWatching) stopWatching();
+    stopWatching = null;
+    delete globalThis.window;
+  });
+
+  const watch = () => {
+    const updates = [];
+    stopWatching = watchWallets(wallets => updates.push(wallets));
+    return updates;
+  };
+
+  it("requests announcements and lists announced wallets", () => {
+    const updates = watch();
+    assert.equal(requests, 1);
+    assert.deepEqual(updates, [[]]);
+
+    const first = { request: async () => null };
+    const second = { request: async () => null };
+    announce(walletInfo('First'), first);
+    announce(walletInfo('Second'), second);
+
+    const wallets = updates.at(-1);
+    assert.deepEqual(wallets.map(wallet => wallet.info.name), ['First', 'Second']);
+    assert.equal(wallets[1].provider, second);
+  });
+
+  it("keeps one entry per wallet when it announces again", () => {
+    const updates = watch();
+    const provider = { request: async () => null };
+    announce(walletInfo('First'), provider);
+    announce(walletInfo('First'), provider);
+
+    assert.equal(updates.at(-1).length, 1);
+    assert.equal(updates.at(-1)[0].info.uuid, 'First-uuid');
+  });
+
+  it("ignores announcements without info or provider", () => {
+    const updates = watch();
+    announce(walletInfo('First'), null);
+    announce({ ...walletInfo('Second'), rdns: '' }, { request: async () => null });
+    window.dispatchEvent(new CustomEvent('eip6963:announceProvider'));
+
+    assert.deepEqual(updates, [[]]);
+  });
+
+  it("lists window.ethereum unless an announced wallet provides it", () => {
+    const injected = { request: async () => null };
+    window.ethereum = injected;
+    const updates = watch();
+
+    assert.equal(updates[0].length, 1);
+    assert.equal(updates[0][0].info.rdns, LEGACY_WALLET_RDNS);
+    assert.equal(updates[0][0].provider, injected);
+
+    announce(walletInfo('First'), injected);
+    assert.deepEqual(updates.at(-1).map(wallet => wallet.info.name), ['First']);
+  });
+
+  it("stops listening once unsubscribed", () => {
+    const updates = watch();
+    stopWatching();
+    stopWatching = null;
+
+    announce(walletInfo('First'), { request: async () => null });
+    assert.equal(updates.length, 1);
+  });
+});
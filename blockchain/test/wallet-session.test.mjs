@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { WalletSession, SESSION_STATUS } from '../../frontend/src/lib/wallet-session.js';
+
+const ACCOUNT = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+const OTHER_ACCOUNT = '0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0';
+
+// EIP-1193 provider stub answering eth_accounts and eth_chainId from its
+// fields. Without `events` it has no on/removeListener, like wallets that
+// can only be polled.
+const createWallet = ({ accounts = [ACCOUNT], chainId = '0x1', events = true } = {}) => {
+  const listeners = new Map();
+  const wallet = {
+    accounts,
+    chainId,
+    request: async ({ method }) => {
+      if (method === 'eth_accounts' || method === 'eth_requestAccounts') return wallet.accounts;
+      if (method === 'eth_chainId') return wallet.chainId;
+      throw new Error(`Unexpected method ${method}`);
+    },
+    emit: (event, value) => (listeners.get(event) || []).forEach(listener => listener(value)),
+    listenerCount: () => [...listeners.values()].reduce((count, list) => count + list.length, 0)
+  };
+  if (events) {
+    wallet.on = (event, listener) => {
+      listeners.set(event, [...(listeners.get(event) || []), listener]);
+    };
+    wallet.removeListener = (event, listener) => {
+      listeners.set(event, (listeners.get(event) || []).filter(candidate => candidate !== listener));
+    };
+  }
+  return wallet;
+};
+
+const startSession = async (wallet, options) => {
+  const changes = [];
+  const session = new WalletSession(wallet, {
+    onChange: (state, previous) => changes.push({ state, previous }),
+    ...options
+  });
+  await session.restore();
+  session.start();
+  return { session, changes };
+};
+
+describe("wallet session", () => {
+  it("reads the account and chain", async () => {
+    const wallet = createWallet({ accounts: [ACCOUNT.toLowerCase()], chainId: '0xaa36a7' });
+    const session = new WalletSession(wallet);
+
+    const state = await session.connect();
+    assert.deepEqual(state, { status: SESSION_STATUS.CONNECTED, account: ACCOUNT, chainId: 11155111n });
+  });
+
+  it("reports changes once and ignores repeats", async () => {
+    const wallet = createWallet();
+    const { session, changes } = await startSession(wallet);
+    assert.equal(changes.length, 1);
+
+    // Same account in another case, same chain as a decimal number
+    wallet.emit('accountsChanged', [ACCOUNT.toLowerCase()]);
+    wallet.emit('chainChanged', 1);
+    assert.equal(changes.length, 1);
+
+    wallet.emit('accountsChanged', [OTHER_ACCOUNT]);
+    wallet.emit('chainChanged', '0x5');
+    assert.equal(changes.length, 3);
+    assert.equal(changes[1].state.account, OTHER_ACCOUNT);
+    assert.equal(changes[1].previous.account, ACCOUNT);
+    assert.equal(changes[2].state.chainId, 5n);
+    session.stop();
+  });
+
+  it("disconnects when the wallet does", async () => {
+    const wallet = createWallet();
+    const { session, changes } = await startSession(wallet);
+
+    wallet.emit('disconnect', { code: 4900 });
+    const { state, previous } = changes.at(-1);
+    assert.equal(state.status, SESSION_STATUS.DISCONNECTED);
+    assert.equal(state.account, null);
+    assert.equal(previous.status, SESSION_STATUS.CONNECTED);
+
+    wallet.emit('accountsChanged', []);
+    assert.equal(changes.length, 2);
+    session.stop();
+  });
+
+  it("stops following the wallet when stopped", async () => {
+    const wallet = createWallet();
+    const { session, changes } = await startSession(wallet);
+    assert.equal(wallet.listenerCount(), 3);
+
+    session.stop();
+    assert.equal(wallet.listenerCount(), 0);
+    wallet.emit('accountsChanged', [OTHER_ACCOUNT]);
+    assert.equal(changes.length, 1);
+  });
+
+  it("polls wallets without events", async () => {
+    const wallet = createWallet({ events: false });
+    const { session, changes } = await startSession(wallet, { pollInterval: 10 });
+    assert.equal(session.listening, false);
+
+    wallet.accounts = [OTHER_ACCOUNT];
+    await delay(50);
+    assert.equal(changes.length, 2);
+    assert.equal(changes[1].state.account, OTHER_ACCOUNT);
+
+    session.stop();
+    wallet.chainId = '0x5';
+    await delay(50);
+    assert.equal(changes.length, 2);
+  });
+
+  it("polls when subscribing to events fails", async () => {
+    const wallet = createWallet();
+    wallet.on = () => {
+      throw new Error("Events are not supported");
+    };
+    const { session } = await startSession(wallet, { pollInterval: 10 });
+
+    assert.equal(session.listening, false);
+    assert.ok(session.poll);
+    session.stop();
+    assert.equal(session.poll, null);
+  });
+});
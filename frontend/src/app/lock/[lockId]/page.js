@@ -0,0 +1,37 @@
+import Link from "next/link";
+import { ClientProviders } from "@/components/providers/ClientProviders";
+import WalletConnect from "@/components/swap/WalletConnect";
+import UnsupportedNetwork from "@/components/swap/UnsupportedNetwork";
+import LockInspector from "@/components/swap/LockInspector";
+import LockLookup from "@/components/swap/LockLookup";
+import { isBytes32Hex } from "@/lib/secret";
+import { parseLockTerms } from "@/lib/lock-inspection";
+
+export default async function LockPage({ params, searchParams }) {
+  const { lockId } = await params;
+  // Terms from a lookup by terms, for locks that aren't indexed yet
+  const terms = parseLockTerms(await searchParams);
+
+  return (
+    <ClientProviders>
+      <div className="min-h-screen p-4 md:p-8">
+        <header className="flex justify-between items-center mb-8">
+          <h1 className="text-2xl font-bold">
+            <Link href="/swap">P2P Token Swap</Link>
+          </h1>
+          <WalletConnect />
+        </header>
+
+        <main className="container mx-auto max-w-2xl">
+          <UnsupportedNetwork />
+          {isBytes32Hex(lockId) ? (
+            <LockInspector lockId={lockId} terms={terms} />
+          ) : (
+            <p className="text-sm text-red-600">&quot;{lockId}&quot; is not a valid lock ID.</p>
+          )}
+          <LockLookup key={lockId} initialLockId={isBytes32Hex(lockId) ? lockId : ''} />
+        </main>
+      </div>
+    </ClientProviders>
+  );
+}
@@ -0,0 +1,23 @@
+import Link from "next/link";
+import { ClientProviders } from "@/components/providers/ClientProviders";
+import WalletConnect from "@/components/swap/WalletConnect";
+import LockLookup from "@/components/swap/LockLookup";
+
+export default function LockLookupPage() {
+  return (
+    <ClientProviders>
+      <div className="min-h-screen p-4 md:p-8">
+        <header className="flex justify-between items-center mb-8">
+          <h1 className="text-2xl font-bold">
+            <Link href="/swap">P2P Token Swap</Link>
+          </h1>
+          <WalletConnect />
+        </header>
+
+        <main className="container mx-auto max-w-2xl">
+          <LockLookup />
+        </main>
+      </div>
+    </ClientProviders>
+  );
+}
@@ -1,6 +1,6 @@
 import Link from "next/link";
 import { Button } from "@/components/ui/button";
-import {swapAddress} from "../lib/contractrefs"
+import {swapNetworks} from "../lib/contractrefs"
 export default function Home() {
   return (
     <div className="min-h-screen flex flex-col items-center justify-center p-8 text-center">
@@ -48,8 +48,12 @@ export default function Home() {
       </main>
       
       <footer className="mt-16 text-gray-500 text-sm">
-        <p>Connect to any EVM-compatible network</p>
-        <p className="mt-2">Contract address : {swapAddress}</p>
+        <p>Connect to a supported network</p>
+        {swapNetworks.list().map(network => (
+          <p key={network.chainId} className="mt-2">
+            {network.name} (chain {network.chainId}) contract address : {network.address}
+          </p>
+        ))}
       </footer>
     </div>
   );
@@ -2,8 +2,14 @@ import { ClientProviders } from "@/components/providers/ClientProviders";
 import WalletConnect from "@/components/swap/WalletConnect";
 import SwapTabs from "@/components/swap/SwapTabs";
 import EventsList from "@/components/swap/EventsList";
+import AllowanceManager from "@/components/swap/AllowanceManager";
+import LockLookup from "@/components/swap/LockLookup";
+import SecretVault from "@/components/swap/SecretVault";
+import UnsupportedNetwork from "@/components/swap/UnsupportedNetwork";
+
+export default async function SwapPage({ searchParams }) {
+  const { offer } = await searchParams;
 
-export default function SwapPage() {
   return (
     <ClientProviders>
       <div className="min-h-screen p-4 md:p-8">
@@ -13,12 +19,16 @@ export default function SwapPage() {
         </header>
 
         <main className="container mx-auto max-w-7xl">
+          <UnsupportedNetwork />
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
             <div>
-              <SwapTabs />
+              <SwapTabs offer={offer} />
             </div>
             <div>
               <EventsList />
+              <LockLookup />
+              <AllowanceManager />
+              <SecretVault />
             </div>
           </div>
         </main>
@@ -1,13 +1,16 @@
 "use client";
 
 import { BlockchainProvider } from "@/lib/blockchain-context";
+import { SecretVaultProvider } from "@/lib/secret-vault-context";
 import { Toaster } from "@/components/ui/toaster";
 
 export function ClientProviders({ children }) {
   return (
     <BlockchainProvider>
-      {children}
-      <Toaster />
+      <SecretVaultProvider>
+        {children}
+        <Toaster />
+      </SecretVaultProvider>
     </BlockchainProvider>
   );
 } 
\ No newline at end of file
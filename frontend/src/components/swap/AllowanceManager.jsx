@@ -0,0 +1,166 @@
+"use client";
+
+import { useEffect, useRef, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { RefreshCw } from 'lucide-react';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { APPROVAL_MODES, APPROVAL_MODE_LABELS, isUnlimitedAllowance } from '@/lib/allowances';
+import TokenAmount, { useTokenMetadata } from './TokenAmount';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('AllowanceManager');
+
+// One traded token: current allowance, saved approval mode and revoke
+const AllowanceRow = ({ token, allowance, onRevoke, revoking }) => {
+  const { getAllowancePreference, setAllowancePreference } = useBlockchain();
+  const metadata = useTokenMetadata(token);
+  const [preference, setPreference] = useState(() => getAllowancePreference(token));
+
+  const updatePreference = (changes) => {
+    const next = { ...preference, ...changes };
+    setPreference(next);
+    setAllowancePreference(token, next);
+  };
+
+  return (
+    <div className="p-3 border rounded-md space-y-2">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="font-medium text-sm">{metadata ? metadata.symbol || metadata.name : 'Unknown token'}</p>
+          <p className="text-xs text-gray-500 font-mono">{token.substring(0, 10)}...{token.substring(token.length - 8)}</p>
+        </div>
+        <div className="text-right">
+          <p className="text-xs text-gray-500">Allowance</p>
+          <p className="text-sm">
+            {allowance === undefined ? 'Loading...'
+              : allowance === null ? 'Unavailable'
+              : isUnlimitedAllowance(allowance) ? 'Unlimited'
+              : <TokenAmount token={token} value={allowance.toString()} />}
+          </p>
+        </div>
+      </div>
+      <div className="flex items-center space-x-2">
+        <select
+          aria-label="Approval mode"
+          className="h-9 rounded-md border border-input bg-background px-2 text-sm"
+          value={preference.mode}
+          onChange={(e) => updatePreference({ mode: e.target.value })}
+        >
+          {Object.values(APPROVAL_MODES).map(mode => (
+            <option key={mode} value={mode}>{APPROVAL_MODE_LABELS[mode]}</option>
+          ))}
+        </select>
+        {preference.mode === APPROVAL_MODES.CUSTOM && (
+          <Input
+            aria-label="Custom allowance"
+            inputMode="decimal"
+            className="h-9"
+            placeholder={`Allowance${metadata ? ` in ${metadata.symbol}` : ''}`}
+            value={preference.amount}
+            onChange={(e) => updatePreference({ amount: e.target.value })}
+          />
+        )}
+        <Button
+          variant="outline"
+          size="sm"
+          className="ml-auto"
+          onClick={() => onRevoke(token)}
+          disabled={revoking || !allowance}
+        >
+          {revoking ? 'Revoking...' : 'Revoke'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Allowances the swap contract holds for each token the user has traded,
+// with the approval mode used for future locks
+const AllowanceManager = () => {
+  const { tradedTokens, getAllowance, revokeAllowance, isConnected, account } = useBlockchain();
+  const [allowances, setAllowances] = useState({});
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [revokingToken, setRevokingToken] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const getAllowanceRef = useRef(getAllowance);
+  getAllowanceRef.current = getAllowance;
+
+  // Reload when the account, its traded tokens or refreshKey change
+  const tokensKey = tradedTokens.join(',');
+  useEffect(() => {
+    if (!isConnected) return;
+    let cancelled = false;
+    const tokens = tokensKey ? tokensKey.split(',') : [];
+
+    setIsRefreshing(true);
+    Promise.all(tokens.map(async token => [token, await getAllowanceRef.current(token)]))
+      .then(entries => {
+        if (!cancelled) setAllowances(Object.fromEntries(entries));
+      })
+      .finally(() => {
+        if (!cancelled) setIsRefreshing(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isConnected, account, tokensKey, refreshKey]);
+
+  const loadAllowances = () => setRefreshKey(key => key + 1);
+
+  const handleRevoke = async (token) => {
+    setRevokingToken(token);
+    try {
+      await revokeAllowance(token);
+      loadAllowances();
+    } catch (error) {
+      logger.error("Revoke error:", error);
+    } finally {
+      setRevokingToken(null);
+    }
+  };
+
+  return (
+    <Card className="w-full mt-8">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <div>
+          <CardTitle>Token Allowances</CardTitle>
+          <CardDescription>
+            What the swap contract may spend from your wallet, and how future locks approve
+          </CardDescription>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={loadAllowances}
+          disabled={isRefreshing || !isConnected}
+        >
+          <RefreshCw className={`h-4 w-4 mr-2 ${isRefreshing ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {!isConnected ? (
+          <p className="text-sm text-muted-foreground">Connect your wallet to see your allowances</p>
+        ) : tradedTokens.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No traded tokens yet</p>
+        ) : (
+          <div className="space-y-3">
+            {tradedTokens.map(token => (
+              <AllowanceRow
+                key={`${account}:${token}`}
+                token={token}
+                allowance={allowances[token]}
+                onRevoke={handleRevoke}
+                revoking={revokingToken === token}
+              />
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AllowanceManager;
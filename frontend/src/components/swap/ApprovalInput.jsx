@@ -0,0 +1,56 @@
+import { useEffect, useRef } from 'react';
+import { ethers } from 'ethers';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { APPROVAL_MODES, APPROVAL_MODE_LABELS } from '@/lib/allowances';
+
+const APPROVAL_HINTS = {
+  [APPROVAL_MODES.EXACT]: "Approve exactly this lock's amount if the allowance is short.",
+  [APPROVAL_MODES.CUSTOM]: "Approve a fixed amount that covers this and later locks.",
+  [APPROVAL_MODES.UNLIMITED]: "Approve once for all future locks of this token. Revoke it in Token Allowances."
+};
+
+// How much to approve the swap contract for when a lock needs an allowance.
+// Starts from the token's saved preference; the choice is saved again when
+// the lock is created.
+const ApprovalInput = ({ id = "approval", token, symbol, approval, onChange }) => {
+  const { getAllowancePreference, chainId } = useBlockchain();
+  const getPreferenceRef = useRef(getAllowancePreference);
+  getPreferenceRef.current = getAllowancePreference;
+
+  useEffect(() => {
+    if (token && ethers.isAddress(token)) {
+      onChange(getPreferenceRef.current(token));
+    }
+  }, [token, chainId, onChange]);
+
+  return (
+    <div className="space-y-2">
+      <Label htmlFor={id}>Approval</Label>
+      <select
+        id={id}
+        className="h-10 w-full rounded-md border border-input bg-background px-2 text-sm"
+        value={approval.mode}
+        onChange={(e) => onChange({ ...approval, mode: e.target.value })}
+      >
+        {Object.values(APPROVAL_MODES).map(mode => (
+          <option key={mode} value={mode}>{APPROVAL_MODE_LABELS[mode]}</option>
+        ))}
+      </select>
+      {approval.mode === APPROVAL_MODES.CUSTOM && (
+        <Input
+          id={`${id}-amount`}
+          inputMode="decimal"
+          placeholder={`Allowance${symbol ? ` in ${symbol}` : ''}`}
+          value={approval.amount}
+          onChange={(e) => onChange({ ...approval, amount: e.target.value })}
+          required
+        />
+      )}
+      <p className="text-xs text-gray-500">{APPROVAL_HINTS[approval.mode]}</p>
+    </div>
+  );
+};
+
+export default ApprovalInput;
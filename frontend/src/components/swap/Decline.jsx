@@ -5,12 +5,16 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useBlockchain } from '@/lib/blockchain-context';
+import { formatExpiry } from '@/lib/timeout';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('Decline');
 
 const Decline = () => {
   const [tokenAddress, setTokenAddress] = useState('');
   const [creator, setCreator] = useState('');
   const [hashedSecret, setHashedSecret] = useState('');
-  const [timeout, setTimeout] = useState(3600); // 1 hour in seconds
+  const [timeout, setTimeoutValue] = useState(''); // Lock expiry (Unix seconds)
   const [loading, setLoading] = useState(false);
   const [tokenBalance, setTokenBalance] = useState(null);
   const [balanceLoading, setBalanceLoading] = useState(false);
@@ -30,7 +34,7 @@ const Decline = () => {
           const balance = await getTokenBalance(tokenAddress);
           setTokenBalance(balance);
         } catch (error) {
-          console.error("Error fetching token balance:", error);
+          logger.error("Error fetching token balance:", error);
           setTokenBalance(null);
         } finally {
           setBalanceLoading(false);
@@ -71,7 +75,7 @@ const Decline = () => {
       }
       
       setLoading(true);
-      console.log("Submitting decline transaction with parameters:", {
+      logger.debug("Submitting decline transaction with parameters:", {
         tokenAddress,
         creator,
         hashedSecret,
@@ -85,7 +89,7 @@ const Decline = () => {
         Number(timeout)
       );
     } catch (error) {
-      console.error("Error in decline transaction:", error);
+      logger.error("Error in decline transaction:", error);
       alert(`Transaction failed: ${error.message}`);
     } finally {
       setLoading(false);
@@ -145,15 +149,18 @@ const Decline = () => {
           </div>
           
           <div className="space-y-2">
-            <Label htmlFor="timeout">Timeout (seconds)</Label>
+            <Label htmlFor="timeout">Lock Timeout (Unix timestamp)</Label>
             <Input
               id="timeout"
               type="number"
-              min="60"
+              min="1"
               value={timeout}
-              onChange={(e) => setTimeout(e.target.value)}
+              onChange={(e) => setTimeoutValue(e.target.value)}
               required
             />
+            {timeout && (
+              <p className="text-xs text-gray-500">Lock times out at {formatExpiry(timeout)}</p>
+            )}
           </div>
           
           <Button type="submit" className="w-full" disabled={loading || !isConnected}>
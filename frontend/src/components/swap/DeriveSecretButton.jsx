@@ -0,0 +1,63 @@
+"use client";
+
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { KeyRound } from 'lucide-react';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { findDerivationLock } from '@/lib/secret-derivation';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('DeriveSecretButton');
+
+// Recover the secret of one of the user's buy locks by signing its
+// derivation message again. Only shown when the connected account created a
+// LockBuy with `hashedSecret`; `onDerived` receives the secret.
+const DeriveSecretButton = ({ hashedSecret, onDerived }) => {
+  const { events, account, rederiveLockSecret } = useBlockchain();
+  const [nonce, setNonce] = useState('0');
+  const [deriving, setDeriving] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!findDerivationLock(events, account, hashedSecret)) return null;
+
+  const handleDerive = async () => {
+    if (!/^\d+$/.test(nonce)) {
+      setError("The nonce must be a whole number");
+      return;
+    }
+
+    setDeriving(true);
+    setError(null);
+    try {
+      onDerived(await rederiveLockSecret(hashedSecret, nonce));
+    } catch (deriveError) {
+      logger.error("Error deriving secret:", deriveError);
+      setError(deriveError.shortMessage || deriveError.message);
+    } finally {
+      setDeriving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center space-x-2">
+        <Button type="button" variant="outline" size="sm" onClick={handleDerive} disabled={deriving}>
+          <KeyRound className="h-4 w-4 mr-1" />
+          {deriving ? "Waiting for signature..." : "Derive from wallet"}
+        </Button>
+        <label htmlFor={`nonce-${hashedSecret}`} className="text-xs text-gray-500">Nonce</label>
+        <Input
+          id={`nonce-${hashedSecret}`}
+          inputMode="numeric"
+          className="h-8 w-20"
+          value={nonce}
+          onChange={(e) => setNonce(e.target.value.trim())}
+        />
+      </div>
+      {error && <p className="text-xs text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+export default DeriveSecretButton;
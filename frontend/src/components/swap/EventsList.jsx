@@ -1,25 +1,76 @@
 "use client";
 
 import { useBlockchain } from '@/lib/blockchain-context';
+import { useSecretVault } from '@/lib/secret-vault-context';
 import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { RefreshCw, Copy, CheckCircle2, Unlock as UnlockIcon, X as XIcon, User, UserPlus } from 'lucide-react';
-import { useEffect, useState } from 'react';
+import { RefreshCw, Copy, CheckCircle2, Unlock as UnlockIcon, X as XIcon, User, UserPlus, Undo2 } from 'lucide-react';
+import { useEffect, useMemo, useState } from 'react';
+import Link from 'next/link';
+import { ethers } from 'ethers';
+import { encodeSecret, verifySecret } from '@/lib/secret';
+import { formatExpiry } from '@/lib/timeout';
+import { buildSwaps, SWAP_STATES, SWAP_STATE_LABELS } from '@/lib/swap-lifecycle';
+import { lockQrText } from '@/lib/qr-payload';
+import { useChainTime } from './TimeoutInput';
+import TokenAmount from './TokenAmount';
+import LockVerification from './LockVerification';
+import QrCodeButton from './QrCodeButton';
+import DeriveSecretButton from './DeriveSecretButton';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('EventsList');
 
 const EventsList = () => {
-  const { events, account, isConnected, refreshEvents, unlock, decline } = useBlockchain();
+  const {
+    events,
+    account,
+    chainId,
+    swapClient,
+    isConnected,
+    isReadOnly,
+    refreshEvents,
+    unlock,
+    verifyLockBeforeUnlock,
+    decline,
+    retrieve,
+    revealedSecretClaims,
+    claimRevealedSecret,
+    autoUnlock,
+    setAutoUnlock
+  } = useBlockchain();
+  const { findSecret } = useSecretVault();
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [copiedField, setCopiedField] = useState(null);
   const [unlockingEvent, setUnlockingEvent] = useState(null);
   const [unlockSecret, setUnlockSecret] = useState('');
   const [unlockStatus, setUnlockStatus] = useState(null);
+  const [unlockExpectedValue, setUnlockExpectedValue] = useState('');
+  const [unlockVerification, setUnlockVerification] = useState(null);
   const [decliningEvent, setDecliningEvent] = useState(null);
   const [declineStatus, setDeclineStatus] = useState(null);
+  const [retrievingLockId, setRetrievingLockId] = useState(null);
+  const [claimingLockId, setClaimingLockId] = useState(null);
+  const [viewAddress, setViewAddress] = useState('');
+
+  // Events can be browsed with a wallet or through the read-only network
+  const canBrowse = isConnected || isReadOnly;
+  // Whose swaps to show: an entered address, else the connected account
+  const owner = ethers.isAddress(viewAddress) ? viewAddress : account;
+  // Actions are only offered on the connected account's own swaps
+  const isOwnView = Boolean(account && owner && owner.toLowerCase() === account.toLowerCase());
 
-  // Filter events to show both where the user is recipient or creator
-  const userEvents = events.filter(event => 
-    (event.recipient && event.recipient.toLowerCase() === account?.toLowerCase()) ||
-    (event.creator && event.creator.toLowerCase() === account?.toLowerCase())
+  // Filter events to show both where the owner is recipient or creator
+  const userEvents = useMemo(() => events.filter(event => 
+    (event.recipient && event.recipient.toLowerCase() === owner?.toLowerCase()) ||
+    (event.creator && event.creator.toLowerCase() === owner?.toLowerCase())
+  ), [events, owner]);
+
+  // Group the user's locks into swaps; expiry is judged against the latest block
+  const chainTime = useChainTime(events.length);
+  const swaps = useMemo(
+    () => buildSwaps(userEvents, chainTime ?? Math.floor(Date.now() / 1000)),
+    [userEvents, chainTime]
   );
 
   // Refresh when account changes
@@ -31,25 +82,26 @@ const EventsList = () => {
 
   // Add debugging info
   useEffect(() => {
-    console.log('EventsList - All events:', events.length);
-    console.log('EventsList - User events:', userEvents.length);
-    console.log('EventsList - Current account:', account);
-  }, [events, userEvents, account]);
+    logger.debug('EventsList - All events:', events.length);
+    logger.debug('EventsList - User events:', userEvents.length);
+    logger.debug('EventsList - Swaps:', swaps.length);
+    logger.debug('EventsList - Current account:', account);
+  }, [events, userEvents, swaps, account]);
   
   // Function to handle manual refresh
   const handleRefresh = async () => {
-    if (!isConnected) {
-      console.log("Cannot refresh events - not connected");
+    if (!canBrowse) {
+      logger.debug("Cannot refresh events - not connected");
       return;
     }
     
     setIsRefreshing(true);
     try {
-      console.log("Refreshing events");
+      logger.debug("Refreshing events");
       await refreshEvents();
-      console.log("Events refreshed");
+      logger.debug("Events refreshed");
     } catch (error) {
-      console.error("Error refreshing events:", error);
+      logger.error("Error refreshing events:", error);
     } finally {
       setIsRefreshing(false);
     }
@@ -62,7 +114,7 @@ const EventsList = () => {
       setCopiedField(fieldId);
       setTimeout(() => setCopiedField(null), 2000);
     } catch (err) {
-      console.error('Failed to copy text: ', err);
+      logger.error('Failed to copy text: ', err);
     }
   };
 
@@ -78,23 +130,6 @@ const EventsList = () => {
     return `${hash.substring(0, 6)}...${hash.substring(hash.length - 4)}`;
   };
 
-  // Format value by dividing by 1000000
-  const formatValue = (value) => {
-    if (!value) return '0';
-    try {
-      const numValue = BigInt(value);
-      // Format with 6 decimal places
-      const intPart = numValue / BigInt(1000000);
-      const fracPart = numValue % BigInt(1000000);
-      // Pad with leading zeros
-      const fracString = fracPart.toString().padStart(6, '0');
-      return `${intPart}.${fracString}`;
-    } catch (error) {
-      console.error("Error formatting value:", error);
-      return value;
-    }
-  };
-
   // Format timestamp
   const formatTimestamp = (timestamp) => {
     return new Date(timestamp).toLocaleString();
@@ -118,13 +153,34 @@ const EventsList = () => {
     }
   };
 
+  // Get swap color by lifecycle state
+  const getStateColor = (state) => {
+    switch (state) {
+      case SWAP_STATES.OPEN:
+        return 'bg-blue-50 border-blue-200';
+      case SWAP_STATES.COUNTERED:
+        return 'bg-green-50 border-green-200';
+      case SWAP_STATES.UNLOCKED:
+        return 'bg-purple-50 border-purple-200';
+      case SWAP_STATES.EXPIRED_RETRIEVABLE:
+        return 'bg-yellow-50 border-yellow-300';
+      case SWAP_STATES.DECLINED:
+        return 'bg-red-50 border-red-200';
+      default:
+        return 'bg-gray-50 border-gray-200';
+    }
+  };
+
   // Handle unlock event
   const handleUnlock = async (event) => {
     if (!event || !isConnected) return;
     
     setUnlockingEvent(event);
-    setUnlockSecret('');
+    // Secrets kept in the vault are filled in
+    setUnlockSecret(findSecret(event.hashedSecret) || '');
     setUnlockStatus(null);
+    setUnlockExpectedValue('');
+    setUnlockVerification(null);
   };
 
   // Execute the unlock function
@@ -134,22 +190,31 @@ const EventsList = () => {
     try {
       setUnlockStatus('processing');
       
-      // Convert the secret from hex if it has a 0x prefix
-      let secretBytes32;
-      if (unlockSecret.startsWith('0x')) {
-        secretBytes32 = unlockSecret;
-      } else {
-        // Convert text to bytes32
-        const encoder = new TextEncoder();
-        const encoded = encoder.encode(unlockSecret);
-        const buffer = Buffer.from(encoded);
-        secretBytes32 = '0x' + buffer.toString('hex').padEnd(64, '0');
+      // Check the secret against the lock before revealing it on chain
+      if (!verifySecret(unlockSecret, unlockingEvent.hashedSecret)) {
+        setUnlockStatus('mismatch');
+        return;
+      }
+      const secretBytes32 = encodeSecret(unlockSecret);
+      
+      // Unlocking reveals the secret, so confirm the lock's terms first
+      const verification = await verifyLockBeforeUnlock({
+        tokenAddress: unlockingEvent.token,
+        creator: unlockingEvent.creator,
+        hashedSecret: unlockingEvent.hashedSecret,
+        timeout: unlockingEvent.timeout,
+        expectedValue: unlockExpectedValue
+      });
+      setUnlockVerification(verification);
+      if (!verification.ok) {
+        setUnlockStatus('blocked');
+        return;
       }
       
-      console.log("Unlocking with:", {
+      logger.debug("Unlocking with:", {
         token: unlockingEvent.token,
         creator: unlockingEvent.creator,
-        secret: secretBytes32,
+        hashedSecret: unlockingEvent.hashedSecret,
         timeout: unlockingEvent.timeout
       });
       
@@ -157,7 +222,8 @@ const EventsList = () => {
         unlockingEvent.token,
         unlockingEvent.creator,
         secretBytes32,
-        unlockingEvent.timeout
+        unlockingEvent.timeout,
+        unlockingEvent.hashedSecret
       );
       
       setUnlockStatus('success');
@@ -167,7 +233,7 @@ const EventsList = () => {
         handleRefresh();
       }, 2000);
     } catch (error) {
-      console.error("Unlock error:", error);
+      logger.error("Unlock error:", error);
       setUnlockStatus('error');
     }
   };
@@ -187,7 +253,7 @@ const EventsList = () => {
     try {
       setDeclineStatus('processing');
       
-      console.log("Declining with:", {
+      logger.debug("Declining with:", {
         token: decliningEvent.token,
         creator: decliningEvent.creator,
         hashedSecret: decliningEvent.hashedSecret,
@@ -208,27 +274,27 @@ const EventsList = () => {
         handleRefresh();
       }, 2000);
     } catch (error) {
-      console.error("Decline error:", error);
+      logger.error("Decline error:", error);
       setDeclineStatus('error');
     }
   };
 
-  // Check if user is creator of an event
+  // Check if the owner is creator of an event
   const isUserCreator = (event) => {
-    return event.creator && event.creator.toLowerCase() === account?.toLowerCase();
+    return event.creator && event.creator.toLowerCase() === owner?.toLowerCase();
   };
 
-  // Check if user is recipient of an event
+  // Check if the owner is recipient of an event
   const isUserRecipient = (event) => {
-    return event.recipient && event.recipient.toLowerCase() === account?.toLowerCase();
+    return event.recipient && event.recipient.toLowerCase() === owner?.toLowerCase();
   };
 
-  // Get user role label for the event
+  // Get the owner's role label for the event
   const getUserRoleLabel = (event) => {
     if (isUserCreator(event)) {
-      return "You are the creator";
+      return isOwnView ? "You are the creator" : "Creator";
     } else if (isUserRecipient(event)) {
-      return "You are the recipient";
+      return isOwnView ? "You are the recipient" : "Recipient";
     }
     return "";
   };
@@ -263,26 +329,254 @@ const EventsList = () => {
     );
   };
 
+  // Describe where the deal stands from the user's side
+  const getSwapSummary = (swap) => {
+    const counterLock = swap.sells.find(sell => sell.state !== SWAP_STATES.DECLINED) || swap.sells[0];
+    switch (swap.state) {
+      case SWAP_STATES.OPEN:
+        return swap.buy && isUserCreator(swap.buy)
+          ? "Waiting for the seller to lock the counter asset"
+          : "Buy lock waiting for your counter lock";
+      case SWAP_STATES.COUNTERED:
+        return counterLock && isUserRecipient(counterLock)
+          ? "Counter lock in place - unlock it to reveal the secret"
+          : "Counter lock in place - waiting for the buyer to unlock";
+      case SWAP_STATES.UNLOCKED:
+        return swap.completed
+          ? "Both locks unlocked - swap complete"
+          : "Secret revealed - the remaining lock can now be unlocked";
+      case SWAP_STATES.DECLINED:
+        return "A lock in this swap was declined and refunded";
+      case SWAP_STATES.EXPIRED_RETRIEVABLE:
+        return "A lock timed out and can be retrieved by its creator";
+      case SWAP_STATES.RETRIEVED:
+        return "A timed out lock was retrieved by its creator";
+      default:
+        return "";
+    }
+  };
+
+  // Handle retrieve of a timed out lock
+  const handleRetrieve = async (lock) => {
+    if (!lock || !isConnected) return;
+
+    setRetrievingLockId(lock.lockId);
+    try {
+      await retrieve(lock.token, lock.recipient, lock.hashedSecret, lock.timeout);
+      handleRefresh();
+    } catch (error) {
+      logger.error("Retrieve error:", error);
+    } finally {
+      setRetrievingLockId(null);
+    }
+  };
+
+  // Unlock a lock with the secret the counterparty revealed on chain
+  const handleClaim = async (claim) => {
+    setClaimingLockId(claim.lockId);
+    try {
+      await claimRevealedSecret(claim);
+      handleRefresh();
+    } catch (error) {
+      logger.error("Claim error:", error);
+    } finally {
+      setClaimingLockId(null);
+    }
+  };
+
+  // QR text of a lock card: the offer link of a buy lock, the inspector
+  // link of any other
+  const getLockQrText = (event) => {
+    if (!swapClient) return '';
+    try {
+      return lockQrText(event, { chainId, contract: swapClient.address, origin: window.location.origin });
+    } catch (error) {
+      logger.error("Error building lock QR code:", error);
+      return '';
+    }
+  };
+
+  // Render one lock of a swap with its resolution and available actions
+  const renderLock = (lock) => {
+    const { event, lockId } = lock;
+    const fieldId = `lock-${lockId}`;
+    const claim = revealedSecretClaims.find(c => c.lockId.toLowerCase() === lockId.toLowerCase());
+
+    return (
+      <div key={lockId} className={`p-3 rounded-md border ${getEventColor(event.type)}`}>
+        <div className="flex justify-between items-start mb-2">
+          <div>
+            <h5 className="font-semibold">{lock.kind === 'buy' ? 'Buy lock' : 'Counter lock'}</h5>
+            <div className="flex items-center mt-1 text-sm text-gray-600">
+              {isUserCreator(event) ? (
+                <div className="flex items-center">
+                  <User className="h-3 w-3 mr-1" />
+                  <span>{getUserRoleLabel(event)}</span>
+                </div>
+              ) : (
+                <div className="flex items-center">
+                  <UserPlus className="h-3 w-3 mr-1" />
+                  <span>{getUserRoleLabel(event)}</span>
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="flex flex-col items-end">
+            <span className="text-xs font-semibold">{SWAP_STATE_LABELS[lock.state]}</span>
+            <span className="text-xs text-gray-500">{formatTimestamp(event.timestamp)}</span>
+            <Link href={`/lock/${lockId}`} className="text-xs text-blue-600 hover:underline">Inspect</Link>
+            <div className="mt-1">
+              <QrCodeButton
+                value={getLockQrText(event)}
+                title={event.type === 'LockBuy' ? 'Swap offer' : 'Lock details'}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="space-y-1 text-sm divide-y">
+          <DataField label="Lock ID" value={lockId} displayValue={formatHash(lockId)} fieldId={fieldId} />
+          <DataField label="Token" value={event.token} displayValue={formatHash(event.token)} fieldId={fieldId} />
+          <DataField label="Creator" value={event.creator} displayValue={formatAddress(event.creator)} fieldId={fieldId} />
+          <DataField label="Recipient" value={event.recipient} displayValue={formatAddress(event.recipient)} fieldId={fieldId} />
+          <DataField label="Hashed Secret" value={event.hashedSecret} displayValue={formatHash(event.hashedSecret)} fieldId={fieldId} />
+          <DataField
+            label="Timeout"
+            value={event.timeout ? event.timeout.toString() : ''}
+            displayValue={event.timeout ? formatExpiry(event.timeout) : ''}
+            fieldId={fieldId}
+          />
+          <DataField label="Value" value={event.value} displayValue={<TokenAmount token={event.token} value={event.value} />} fieldId={fieldId} />
+          <DataField label="Sell Asset ID" value={event.sellAssetId} displayValue={formatHash(event.sellAssetId)} fieldId={fieldId} />
+          <DataField
+            label="Sell Price"
+            value={event.sellPrice}
+            displayValue={<TokenAmount token={event.token} value={event.sellPrice} />}
+            fieldId={fieldId}
+          />
+          <DataField label="Buy Asset ID" value={event.buyAssetId} displayValue={formatHash(event.buyAssetId)} fieldId={fieldId} />
+          <DataField label="Buy Lock ID" value={event.buyLockId} displayValue={formatHash(event.buyLockId)} fieldId={fieldId} />
+
+          {lock.resolution && (
+            <div className="pt-2">
+              <p className="text-xs text-gray-600">
+                {lock.resolution.type === 'Unlock' ? 'Unlocked' : lock.resolution.type === 'Decline' ? 'Declined' : 'Retrieved'}
+                {' '}on {formatTimestamp(lock.resolution.timestamp)}
+              </p>
+              <DataField
+                label="Secret"
+                value={lock.resolution.secret}
+                displayValue={formatHash(lock.resolution.secret)}
+                fieldId={fieldId}
+              />
+            </div>
+          )}
+
+          {/* The secret was revealed by unlocking the linked counter lock */}
+          {isOwnView && lock.state === SWAP_STATES.OPEN && claim && (
+            <div className="pt-3 mt-2 space-y-2">
+              <p className="text-xs text-green-700 font-semibold">
+                The buyer revealed the secret. Unlock before {formatExpiry(claim.timeout)}.
+              </p>
+              <Button 
+                onClick={() => handleClaim(claim)}
+                size="sm"
+                className="w-full flex items-center justify-center"
+                disabled={claimingLockId === lockId}
+              >
+                <UnlockIcon className="h-4 w-4 mr-2" />
+                {claimingLockId === lockId ? 'Unlocking...' : 'Unlock with revealed secret'}
+              </Button>
+            </div>
+          )}
+
+          {/* The recipient can unlock or decline an open lock */}
+          {isOwnView && lock.state === SWAP_STATES.OPEN && isUserRecipient(event) && (
+            <div className="pt-3 mt-2 flex space-x-2">
+              <Button 
+                onClick={() => handleUnlock(event)}
+                size="sm"
+                className="flex-1 flex items-center justify-center"
+              >
+                <UnlockIcon className="h-4 w-4 mr-2" />
+                Unlock
+              </Button>
+              <Button 
+                onClick={() => handleDecline(event)}
+                size="sm"
+                variant="destructive"
+                className="flex-1 flex items-center justify-center"
+              >
+                <XIcon className="h-4 w-4 mr-2" />
+                Decline
+              </Button>
+            </div>
+          )}
+
+          {/* The creator can take back a lock once it has timed out */}
+          {isOwnView && lock.state === SWAP_STATES.EXPIRED_RETRIEVABLE && isUserCreator(event) && (
+            <div className="pt-3 mt-2">
+              <Button 
+                onClick={() => handleRetrieve(lock)}
+                size="sm"
+                variant="outline"
+                className="w-full flex items-center justify-center"
+                disabled={retrievingLockId === lockId}
+              >
+                <Undo2 className="h-4 w-4 mr-2" />
+                {retrievingLockId === lockId ? 'Retrieving...' : 'Retrieve'}
+              </Button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   return (
     <Card className="w-full">
       <CardHeader className="flex flex-row items-center justify-between">
-        <CardTitle>Your Events</CardTitle>
-        <Button 
-          variant="outline" 
-          size="sm" 
-          onClick={handleRefresh} 
-          disabled={isRefreshing || !isConnected}
-        >
-          <RefreshCw className={`h-4 w-4 mr-2 ${isRefreshing ? 'animate-spin' : ''}`} />
-          Refresh
-        </Button>
+        <CardTitle>{isOwnView || !owner ? 'Your Swaps' : `Swaps of ${formatAddress(owner)}`}</CardTitle>
+        <div className="flex items-center space-x-3">
+          <label
+            className="flex items-center space-x-1 text-xs text-gray-600"
+            title="Submit the unlock as soon as the buyer reveals the secret"
+          >
+            <input
+              type="checkbox"
+              checked={autoUnlock}
+              onChange={(e) => setAutoUnlock(e.target.checked)}
+            />
+            <span>Auto-unlock</span>
+          </label>
+          <Button 
+            variant="outline" 
+            size="sm" 
+            onClick={handleRefresh} 
+            disabled={isRefreshing || !canBrowse}
+          >
+            <RefreshCw className={`h-4 w-4 mr-2 ${isRefreshing ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
       </CardHeader>
       <CardContent>
         <div className="space-y-4">
-          {!isConnected ? (
-            <p className="text-sm text-muted-foreground">Connect your wallet to see events</p>
-          ) : userEvents.length === 0 ? (
-            <p className="text-sm text-muted-foreground">No events to display</p>
+          {canBrowse && (
+            <input
+              type="text"
+              className="w-full p-2 border rounded text-sm"
+              value={viewAddress}
+              onChange={(e) => setViewAddress(e.target.value.trim())}
+              placeholder={isConnected ? "Browse another address (0x...)" : "Address to browse (0x...)"}
+            />
+          )}
+          {!canBrowse ? (
+            <p className="text-sm text-muted-foreground">Connect your wallet to see your swaps</p>
+          ) : !owner ? (
+            <p className="text-sm text-muted-foreground">Enter an address to see its swaps, or connect your wallet</p>
+          ) : swaps.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No swaps to display</p>
           ) : (
             <>
               {/* Unlock Dialog */}
@@ -302,7 +596,7 @@ const EventsList = () => {
                         <span className="font-medium">Creator:</span> {formatAddress(unlockingEvent.creator)}
                       </p>
                       <p className="text-sm mb-2">
-                        <span className="font-medium">Value:</span> {formatValue(unlockingEvent.value)}
+                        <span className="font-medium">Value:</span> <TokenAmount token={unlockingEvent.token} value={unlockingEvent.value} />
                       </p>
                     </div>
                     
@@ -315,14 +609,63 @@ const EventsList = () => {
                         id="secret"
                         className="w-full p-2 border rounded"
                         value={unlockSecret}
-                        onChange={(e) => setUnlockSecret(e.target.value)}
+                        onChange={(e) => {
+                          setUnlockSecret(e.target.value);
+                          setUnlockVerification(null);
+                          if (unlockStatus === 'mismatch' || unlockStatus === 'blocked') setUnlockStatus(null);
+                        }}
                         placeholder="Enter secret (raw text or 0x hex format)"
                       />
+                      <div className="mt-2">
+                        <DeriveSecretButton
+                          hashedSecret={unlockingEvent.hashedSecret}
+                          onDerived={(derived) => {
+                            setUnlockSecret(derived);
+                            setUnlockVerification(null);
+                            setUnlockStatus(null);
+                          }}
+                        />
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {unlockSecret && unlockSecret === findSecret(unlockingEvent.hashedSecret)
+                          ? "Filled in from your secret vault"
+                          : "Enter the secret provided by the creator to unlock this event"}
+                      </p>
+                      {unlockStatus === 'mismatch' && (
+                        <p className="text-xs text-red-500 mt-1">
+                          This secret does not match the lock's hashed secret. Nothing was sent.
+                        </p>
+                      )}
+                    </div>
+                    
+                    <div className="mb-4">
+                      <label className="block text-sm font-medium mb-1" htmlFor="expectedValue">
+                        Expected Amount
+                      </label>
+                      <input
+                        type="text"
+                        id="expectedValue"
+                        inputMode="decimal"
+                        className="w-full p-2 border rounded"
+                        value={unlockExpectedValue}
+                        onChange={(e) => {
+                          setUnlockExpectedValue(e.target.value);
+                          setUnlockVerification(null);
+                          if (unlockStatus === 'blocked') setUnlockStatus(null);
+                        }}
+                        placeholder="Amount you agreed to receive"
+                      />
                       <p className="text-xs text-gray-500 mt-1">
-                        Enter the secret provided by the creator to unlock this event
+                        The unlock is blocked if the lock holds less than this amount
                       </p>
                     </div>
                     
+                    {unlockVerification && (
+                      <div className="mb-4">
+                        <LockVerification verification={unlockVerification} />
+                      </div>
+                    )}
+                    
                     <div className="flex justify-end space-x-2">
                       <Button
                         variant="outline"
@@ -333,7 +676,7 @@ const EventsList = () => {
                       </Button>
                       <Button
                         onClick={executeUnlock}
-                        disabled={!unlockSecret || unlockStatus === 'processing'}
+                        disabled={!unlockSecret || unlockStatus === 'processing' || unlockStatus === 'blocked'}
                         className={`
                           ${unlockStatus === 'processing' ? 'bg-blue-400' : ''}
                           ${unlockStatus === 'success' ? 'bg-green-500' : ''}
@@ -342,7 +685,8 @@ const EventsList = () => {
                       >
                         {unlockStatus === 'processing' ? 'Processing...' : 
                          unlockStatus === 'success' ? 'Success!' : 
-                         unlockStatus === 'error' ? 'Failed' : 'Unlock'}
+                         unlockStatus === 'error' ? 'Failed' :
+                         unlockStatus === 'blocked' ? 'Blocked' : 'Unlock'}
                       </Button>
                     </div>
                   </div>
@@ -366,7 +710,7 @@ const EventsList = () => {
                         <span className="font-medium">Creator:</span> {formatAddress(decliningEvent.creator)}
                       </p>
                       <p className="text-sm mb-2">
-                        <span className="font-medium">Value:</span> {formatValue(decliningEvent.value)}
+                        <span className="font-medium">Value:</span> <TokenAmount token={decliningEvent.token} value={decliningEvent.value} />
                       </p>
                     </div>
                     
@@ -401,130 +745,28 @@ const EventsList = () => {
                 </div>
               )}
 
-              {userEvents.map((event, index) => (
+              {swaps.map((swap) => (
                 <div 
-                  key={index} 
-                  className={`p-4 rounded-md border ${getEventColor(event.type)}`}
+                  key={swap.id} 
+                  className={`p-4 rounded-md border ${getStateColor(swap.state)}`}
                 >
                   <div className="flex justify-between items-start mb-3">
                     <div>
-                      <h4 className="font-semibold text-lg">{event.type}</h4>
-                      <div className="flex items-center mt-1 text-sm text-gray-600">
-                        {isUserCreator(event) ? (
-                          <div className="flex items-center">
-                            <User className="h-3 w-3 mr-1" />
-                            <span>You created this event</span>
-                          </div>
-                        ) : (
-                          <div className="flex items-center">
-                            <UserPlus className="h-3 w-3 mr-1" />
-                            <span>You are the recipient</span>
-                          </div>
-                        )}
-                      </div>
+                      <h4 className="font-semibold text-lg">
+                        Swap {formatHash(swap.id)}
+                      </h4>
+                      <p className="text-sm text-gray-600 mt-1">{getSwapSummary(swap)}</p>
+                    </div>
+                    <div className="flex flex-col items-end space-y-1">
+                      <span className="text-xs font-semibold uppercase px-2 py-0.5 rounded bg-white border">
+                        {swap.completed ? 'Completed' : SWAP_STATE_LABELS[swap.state]}
+                      </span>
+                      <span className="text-xs text-gray-500">{formatTimestamp(swap.updatedAt)}</span>
                     </div>
-                    <span className="text-xs text-gray-500">{formatTimestamp(event.timestamp)}</span>
                   </div>
-                  
-                  <div className="space-y-1 text-sm divide-y">
-                    <DataField 
-                      label="Token" 
-                      value={event.token} 
-                      displayValue={formatHash(event.token)}
-                      fieldId={`event-${index}`} 
-                    />
-                    
-                    <DataField 
-                      label="Creator" 
-                      value={event.creator} 
-                      displayValue={formatAddress(event.creator)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Recipient" 
-                      value={event.recipient} 
-                      displayValue={formatAddress(event.recipient)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Hashed Secret" 
-                      value={event.hashedSecret} 
-                      displayValue={formatHash(event.hashedSecret)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Timeout" 
-                      value={event.timeout ? event.timeout.toString() : ''} 
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Value" 
-                      value={event.value} 
-                      displayValue={formatValue(event.value)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Lock ID" 
-                      value={event.lockId} 
-                      displayValue={formatHash(event.lockId)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Sell Asset ID" 
-                      value={event.sellAssetId} 
-                      displayValue={formatHash(event.sellAssetId)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Sell Price" 
-                      value={event.sellPrice} 
-                      displayValue={event.sellPrice ? formatValue(event.sellPrice) : ''}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Buy Asset ID" 
-                      value={event.buyAssetId} 
-                      displayValue={formatHash(event.buyAssetId)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Buy Lock ID" 
-                      value={event.buyLockId} 
-                      displayValue={formatHash(event.buyLockId)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    {/* Only show unlock/decline buttons for LockBuy and LockSell events where user is the recipient */}
-                    {(event.type === 'LockBuy' || event.type === 'LockSell') && isUserRecipient(event) && (
-                      <div className="pt-3 mt-2 flex space-x-2">
-                        <Button 
-                          onClick={() => handleUnlock(event)}
-                          size="sm"
-                          className="flex-1 flex items-center justify-center"
-                        >
-                          <UnlockIcon className="h-4 w-4 mr-2" />
-                          Unlock
-                        </Button>
-                        <Button 
-                          onClick={() => handleDecline(event)}
-                          size="sm"
-                          variant="destructive"
-                          className="flex-1 flex items-center justify-center"
-                        >
-                          <XIcon className="h-4 w-4 mr-2" />
-                          Decline
-                        </Button>
-                      </div>
-                    )}
+
+                  <div className="space-y-3">
+                    {swap.locks.map(lock => renderLock(lock))}
                   </div>
                 </div>
               ))}
@@ -532,10 +774,10 @@ const EventsList = () => {
           )}
         </div>
       </CardContent>
-      {isConnected && userEvents.length > 0 && (
+      {canBrowse && swaps.length > 0 && (
         <CardFooter>
           <p className="text-xs text-muted-foreground">
-            Showing {userEvents.length} event{userEvents.length !== 1 ? 's' : ''}
+            Showing {swaps.length} swap{swaps.length !== 1 ? 's' : ''} from {userEvents.length} event{userEvents.length !== 1 ? 's' : ''}
           </p>
         </CardFooter>
       )}
@@ -5,30 +5,52 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useBlockchain } from '@/lib/blockchain-context';
+import { useSecretVault } from '@/lib/secret-vault-context';
+import { generateSecret, hashSecret, hashSecretInput } from '@/lib/secret';
+import { parseTokenAmount } from '@/lib/token-metadata';
+import { DEFAULT_APPROVAL, resolveApprovalAmount } from '@/lib/allowances';
+import { derivationChanges } from '@/lib/secret-derivation';
+import { formatExpiry } from '@/lib/timeout';
+import TimeoutInput, { ExpiryHint, useChainTime } from './TimeoutInput';
+import ApprovalInput from './ApprovalInput';
+import OfferShare from './OfferShare';
+import { useTokenMetadata } from './TokenAmount';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('LockBuy');
 
 const LockBuy = () => {
-  const [tokenAddress, setTokenAddress] = useState(''); // Default to USDT
+  const [tokenAddress, setTokenAddress] = useState('');
   const [recipient, setRecipient] = useState('');
   const [secret, setSecret] = useState('');
   const [hashedSecret, setHashedSecret] = useState('');
-  const [timeout, setTimeout] = useState(3600); // 1 hour in seconds
-  const [value, setValue] = useState('10'); // Default amount in tokens
-  const [rawTokenValue, setRawTokenValue] = useState('1000000'); // Default raw token value (1 USDT with 6 decimals)
-  const [useRawValue, setUseRawValue] = useState(true); // Toggle for value format - default true for USDT
+  const [derivation, setDerivation] = useState(null); // Terms a derived secret was signed over
+  const [nonce, setNonce] = useState('0');
+  const [deriving, setDeriving] = useState(false);
+  const [timeout, setTimeoutValue] = useState(null); // Absolute expiry (Unix seconds)
+  const [value, setValue] = useState('1'); // Amount in human units of the token
   const [sellAssetId, setSellAssetId] = useState('0x95b58483568979bea3b27def505f49beeda8b41a13274e3622c64e61d087a796'); // Default asset ID
-  const [sellPrice, setSellPrice] = useState('10'); // Default price in tokens
-  const [rawSellPrice, setRawSellPrice] = useState('1000000'); // Default raw sell price (1 USDT with 6 decimals)
-  const [useRawSellPrice, setUseRawSellPrice] = useState(true); // Toggle for price format - default true for USDT
+  const [sellPrice, setSellPrice] = useState('1'); // Unit price in human units of the token
+  const [approval, setApproval] = useState(DEFAULT_APPROVAL);
   const [loading, setLoading] = useState(false);
   const [tokenBalance, setTokenBalance] = useState(null);
   const [balanceLoading, setBalanceLoading] = useState(false);
+  const [createdLock, setCreatedLock] = useState(null); // Last lock, shared as an offer
 
   const {
     lockBuy,
     isConnected,
     account,
-    getTokenBalance
+    chainId,
+    swapClient,
+    getTokenBalance,
+    calculateLockId,
+    deriveLockSecret
   } = useBlockchain();
+  const { isUnlocked: vaultUnlocked, saveSecret } = useSecretVault();
+  const tokenMetadata = useTokenMetadata(tokenAddress);
+  const symbol = tokenMetadata ? tokenMetadata.symbol : '';
+  const chainTime = useChainTime(derivation?.timeout);
 
   // Generate hashed secret whenever secret changes
   useEffect(() => {
@@ -46,7 +68,7 @@ const LockBuy = () => {
           const balance = await getTokenBalance(tokenAddress);
           setTokenBalance(balance);
         } catch (error) {
-          console.error("Error fetching token balance:", error);
+          logger.error("Error fetching token balance:", error);
           setTokenBalance(null);
         } finally {
           setBalanceLoading(false);
@@ -59,74 +81,21 @@ const LockBuy = () => {
     fetchBalance();
   }, [tokenAddress, isConnected, getTokenBalance]);
   
-  // Set standard USDT values for common amounts
-  const setUsdtAmount = (amount) => {
-    // USDT on Sepolia has 6 decimals 
-    const rawAmount = amount * 1000000; // 1 USDT = 1000000 units
-    setRawTokenValue(rawAmount.toString());
-    setUseRawValue(true);
-  };
-  
-  // Set standard USDT values for sell price
-  const setUsdtSellPrice = (amount) => {
-    // USDT on Sepolia has 6 decimals
-    const rawAmount = amount * 1000000; // 1 USDT = 1000000 units
-    setRawSellPrice(rawAmount.toString());
-    setUseRawSellPrice(true);
-  };
-
   const generateHashedSecret = () => {
     if (!secret) return;
     
     try {
       // Generate a random secret if not provided
       if (secret === 'random') {
-        // Generate random bytes for the secret (32 bytes)
-        const randomSecret = ethers.randomBytes(32);
-        const randomSecretHex = ethers.hexlify(randomSecret);
-        setSecret(randomSecretHex);
-        
-        // Hash using the AbiCoder approach
-        const hashedSecret = ethers.keccak256(
-          ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [randomSecretHex])
-        );
-        
-        console.log({
-          randomSecret: randomSecretHex,
-          hashedSecret: hashedSecret,
-        });
-        
-        setHashedSecret(hashedSecret);
+        const randomSecret = generateSecret();
+        setSecret(randomSecret);
+        setHashedSecret(hashSecret(randomSecret));
       } else {
-        // For text input or manual hex input
-        let secretToEncode;
-        
-        // Check if the input is already a hex string of right length (32 bytes with 0x prefix = 66 chars)
-        if (secret.startsWith('0x') && secret.length === 66) {
-          // It's already a valid bytes32 hex string
-          secretToEncode = secret;
-        } else {
-          // For text input, create a bytes32 by hashing the text first
-          const textBytes = new TextEncoder().encode(secret);
-          const textHex = ethers.hexlify(textBytes);
-          secretToEncode = ethers.keccak256(textHex); // Create a bytes32 from any text input
-        }
-        
-        // Hash the secret using AbiCoder
-        const hashedSecret = ethers.keccak256(
-          ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [secretToEncode])
-        );
-        
-        console.log({
-          secret,
-          secretToEncode,
-          hashedSecret: hashedSecret,
-        });
-        
-        setHashedSecret(hashedSecret);
+        // Hex secrets are used as-is, passphrases are encoded by the secret module
+        setHashedSecret(hashSecretInput(secret));
       }
     } catch (error) {
-      console.error("Error hashing secret:", error);
+      logger.error("Error hashing secret:", error);
     }
   };
 
@@ -154,15 +123,18 @@ const LockBuy = () => {
         return;
       }
       
-      // Check for token value format
-      if (useRawValue && !rawTokenValue) {
-        alert("Please enter a raw token value");
+      if (!tokenMetadata) {
+        alert("Could not read the token's decimals. Check the token address and network.");
         return;
       }
       
-      // Check for sell price format
-      if (useRawSellPrice && !rawSellPrice) {
-        alert("Please enter a raw sell price");
+      // Amounts must convert exactly with the token's decimals and fit the approval
+      try {
+        const lockValue = parseTokenAmount(value, tokenMetadata.decimals, "value");
+        parseTokenAmount(sellPrice, tokenMetadata.decimals, "price");
+        resolveApprovalAmount(approval, lockValue, tokenMetadata.decimals);
+      } catch (amountError) {
+        alert(amountError.message);
         return;
       }
       
@@ -179,42 +151,74 @@ const LockBuy = () => {
         );
       }
       
-      // Format timeout properly - could be either seconds from now or a specific timestamp
-      let timeoutValue = Number(timeout);
+      // A derived secret can only be recovered from the terms it was signed
+      // over, so it locks with exactly the derived timeout
+      const timeoutValue = derivation ? derivation.timeout : Number(timeout);
+      if (!timeoutValue) {
+        alert("Please choose a valid timeout");
+        return;
+      }
+      
+      const changes = derivation
+        ? derivationChanges(derivation, { token: tokenAddress, counterparty: recipient, nonce })
+        : [];
+      if (changes.length > 0) {
+        alert(`The ${changes.join(', ')} changed after the secret was derived. Please derive it again.`);
+        return;
+      }
       
-      // Simply use the timeout value as is without any adjustments
-      console.log("Using raw timeout value:", timeoutValue);
+      // Timeout is already an absolute expiry based on the latest block time
+      logger.debug("Using lock expiry:", timeoutValue);
       
-      // Use either the ETH value or the raw token value
-      const valueToUse = useRawValue ? rawTokenValue : value;
-      // Use either the ETH sell price or the raw sell price
-      const sellPriceToUse = useRawSellPrice ? rawSellPrice : sellPrice;
+      // Keep the secret before locking, so closing the tab while the
+      // transaction confirms cannot lose it
+      const saved = vaultUnlocked && await saveSecret({
+        secret,
+        lockId: calculateLockId(tokenAddress, account, recipient, hashedSecret, timeoutValue),
+        token: tokenAddress,
+        timeout: timeoutValue,
+        chainId
+      });
+      if (!saved && !confirm("This secret is not saved in your secret vault. If this tab closes before you unlock, the swap cannot complete. Lock anyway?")) {
+        return;
+      }
       
-      console.log("Submitting lockBuy transaction with parameters:", {
+      logger.debug("Submitting lockBuy transaction with parameters:", {
         tokenAddress,
         recipient,
         hashedSecret,
         timeout: timeoutValue,
-        value: valueToUse,
-        useRawValue,
+        value,
         sellAssetId: formattedSellAssetId,
-        sellPrice: sellPriceToUse,
-        useRawSellPrice
+        sellPrice
       });
       
-      await lockBuy(
+      const result = await lockBuy(
         tokenAddress,
         recipient,
         hashedSecret,
         timeoutValue,
-        valueToUse,
+        value,
         formattedSellAssetId,
-        sellPriceToUse,
-        useRawValue,
-        useRawSellPrice
+        sellPrice,
+        approval
       );
+      
+      if (result && result.lockId) {
+        setCreatedLock({
+          lockId: result.lockId,
+          token: tokenAddress,
+          creator: account,
+          recipient,
+          hashedSecret,
+          timeout: timeoutValue,
+          value: parseTokenAmount(value, tokenMetadata.decimals, "value").toString(),
+          sellAssetId: formattedSellAssetId,
+          sellPrice: parseTokenAmount(sellPrice, tokenMetadata.decimals, "price").toString()
+        });
+      }
     } catch (error) {
-      console.error("Error in lockBuy transaction:", error);
+      logger.error("Error in lockBuy transaction:", error);
       alert(`Transaction failed: ${error.message}`);
     } finally {
       setLoading(false);
@@ -223,6 +227,40 @@ const LockBuy = () => {
 
   const handleSecretChange = (e) => {
     setSecret(e.target.value);
+    setDerivation(null);
+  };
+
+  // The derived secret only fits its own timeout, so picking another one
+  // discards it
+  const handleChangeDerivedTimeout = () => {
+    setDerivation(null);
+    setSecret('');
+    setHashedSecret('');
+  };
+
+  // Derive the secret from a wallet signature over the lock's terms, so it
+  // can be recovered on any device by signing again
+  const handleDeriveSecret = async () => {
+    if (!ethers.isAddress(tokenAddress) || !ethers.isAddress(recipient) || !timeout) {
+      alert("Please enter the token, recipient and timeout before deriving the secret");
+      return;
+    }
+    if (!/^\d+$/.test(nonce)) {
+      alert("The nonce must be a whole number");
+      return;
+    }
+    
+    const terms = { token: tokenAddress, counterparty: recipient, timeout: Number(timeout), nonce };
+    setDeriving(true);
+    try {
+      setSecret(await deriveLockSecret(terms));
+      setDerivation(terms);
+    } catch (error) {
+      logger.error("Error deriving secret:", error);
+      alert(`Could not derive the secret: ${error.shortMessage || error.message}`);
+    } finally {
+      setDeriving(false);
+    }
   };
 
   const handleTokenAddressChange = (e) => {
@@ -240,7 +278,7 @@ const LockBuy = () => {
       <CardContent>
         <form onSubmit={handleSubmit} className="space-y-4">
           <div className="space-y-2">
-            <Label htmlFor="tokenAddress">Token Address (USDT)</Label>
+            <Label htmlFor="tokenAddress">Token Address</Label>
             <Input
               id="tokenAddress"
               placeholder="0x"
@@ -254,9 +292,7 @@ const LockBuy = () => {
               <p className="text-xs text-gray-500">
                 Balance: {tokenBalance.formatted} {tokenBalance.symbol}
               </p>
-            ) : (
-              <p className="text-xs text-gray-500">Default: USDT</p>
-            )}
+            ) : null}
           </div>
           
           <div className="space-y-2">
@@ -279,6 +315,29 @@ const LockBuy = () => {
               onChange={handleSecretChange}
               required
             />
+            <div className="flex items-center space-x-2">
+              <Button type="button" variant="outline" size="sm" onClick={handleDeriveSecret} disabled={deriving || !isConnected}>
+                {deriving ? "Waiting for signature..." : "Derive from wallet"}
+              </Button>
+              <Label htmlFor="secretNonce" className="text-xs text-gray-500">Nonce</Label>
+              <Input
+                id="secretNonce"
+                inputMode="numeric"
+                className="h-8 w-20"
+                value={nonce}
+                onChange={(e) => setNonce(e.target.value.trim())}
+              />
+            </div>
+            {derivation && (
+              <p className="text-xs text-green-600">
+                Derived from your wallet&apos;s signature with nonce {derivation.nonce}. Sign again on any device to recover it.
+              </p>
+            )}
+            <p className={`text-xs ${vaultUnlocked ? 'text-gray-500' : 'text-yellow-600'}`}>
+              {vaultUnlocked
+                ? "The secret is saved in your secret vault when you lock."
+                : "Unlock your secret vault to keep this secret if the tab closes."}
+            </p>
           </div>
           
           {hashedSecret && (
@@ -292,63 +351,43 @@ const LockBuy = () => {
             </div>
           )}
           
+          {derivation && (
+            <div className="space-y-2">
+              <Label>Timeout</Label>
+              <p className="text-sm">
+                Fixed at {formatExpiry(derivation.timeout)} by the derived secret.
+              </p>
+              <ExpiryHint expiry={derivation.timeout} chainTime={chainTime} />
+              <Button type="button" variant="outline" size="sm" onClick={handleChangeDerivedTimeout}>
+                Choose another timeout
+              </Button>
+            </div>
+          )}
+          {/* Kept mounted so the picker's choice is back after a derivation is discarded */}
+          <div className={derivation ? 'hidden' : ''}>
+            <TimeoutInput onChange={setTimeoutValue} />
+          </div>
+          
           <div className="space-y-2">
-            <Label htmlFor="timeout">Timeout (seconds)</Label>
+            <Label htmlFor="value">Amount{symbol ? ` (${symbol})` : ''}</Label>
             <Input
-              id="timeout"
-              type="number"
-              min="60"
-              value={timeout}
-              onChange={(e) => setTimeout(e.target.value)}
+              id="value"
+              inputMode="decimal"
+              placeholder="0.0"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
               required
             />
-            <p className="text-xs text-gray-500">
-              Enter the exact timeout value in seconds. This value will be used directly as the lock timeout.
-            </p>
-          </div>
-          
-          <div className="space-y-2">
-            <Label htmlFor="value-format">Token Value Format</Label>
-            <div className="flex items-center space-x-2">
-              <input
-                type="checkbox"
-                id="value-format"
-                checked={useRawValue}
-                onChange={() => setUseRawValue(!useRawValue)}
-              />
-              <span>Use raw token value (for tokens with decimals like USDT)</span>
+            <div className="flex space-x-2 mt-2">
+              {['1', '5', '10'].map(amount => (
+                <Button key={amount} type="button" variant="outline" size="sm" onClick={() => setValue(amount)}>
+                  {amount} {symbol}
+                </Button>
+              ))}
             </div>
           </div>
           
-          {useRawValue ? (
-            <div className="space-y-2">
-              <Label htmlFor="rawTokenValue">Raw Token Value (e.g., 1000000 for 1 USDT)</Label>
-              <Input
-                id="rawTokenValue"
-                value={rawTokenValue}
-                onChange={(e) => setRawTokenValue(e.target.value)}
-                required={useRawValue}
-              />
-              <div className="flex space-x-2 mt-2">
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtAmount(1)}>1 USDT</Button>
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtAmount(5)}>5 USDT</Button>
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtAmount(10)}>10 USDT</Button>
-              </div>
-            </div>
-          ) : (
-            <div className="space-y-2">
-              <Label htmlFor="value">Token Value</Label>
-              <Input
-                id="value"
-                type="number"
-                step="0.000000000000000001"
-                min="0"
-                value={value}
-                onChange={(e) => setValue(e.target.value)}
-                required={!useRawValue}
-              />
-            </div>
-          )}
+          <ApprovalInput token={tokenAddress} symbol={symbol} approval={approval} onChange={setApproval} />
           
           <div className="space-y-2">
             <Label htmlFor="sellAssetId">Default Asset ID</Label>
@@ -362,52 +401,27 @@ const LockBuy = () => {
           </div>
           
           <div className="space-y-2">
-            <Label htmlFor="price-format">Price Format</Label>
-            <div className="flex items-center space-x-2">
-              <input
-                type="checkbox"
-                id="price-format"
-                checked={useRawSellPrice}
-                onChange={() => setUseRawSellPrice(!useRawSellPrice)}
-              />
-              <span>Use raw price (for tokens with decimals like USDT)</span>
-            </div>
+            <Label htmlFor="sellPrice">Sell Price{symbol ? ` (${symbol} per unit)` : ''}</Label>
+            <Input
+              id="sellPrice"
+              inputMode="decimal"
+              placeholder="0.0"
+              value={sellPrice}
+              onChange={(e) => setSellPrice(e.target.value)}
+              required
+            />
           </div>
           
-          {useRawSellPrice ? (
-            <div className="space-y-2">
-              <Label htmlFor="rawSellPrice">Raw Sell Price (e.g., 1000000 for 1 USDT)</Label>
-              <Input
-                id="rawSellPrice"
-                value={rawSellPrice}
-                onChange={(e) => setRawSellPrice(e.target.value)}
-                required={useRawSellPrice}
-              />
-              <div className="flex space-x-2 mt-2">
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtSellPrice(1)}>1 USDT</Button>
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtSellPrice(5)}>5 USDT</Button>
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtSellPrice(10)}>10 USDT</Button>
-              </div>
-            </div>
-          ) : (
-            <div className="space-y-2">
-              <Label htmlFor="sellPrice">Sell Price</Label>
-              <Input
-                id="sellPrice"
-                type="number"
-                step="0.000000000000000001"
-                min="0"
-                value={sellPrice}
-                onChange={(e) => setSellPrice(e.target.value)}
-                required={!useRawSellPrice}
-              />
-            </div>
-          )}
-          
           <Button type="submit" className="w-full" disabled={loading || !isConnected}>
             {loading ? "Processing..." : "Create Lock Buy"}
           </Button>
         </form>
+        
+        {createdLock && swapClient && (
+          <div className="mt-4">
+            <OfferShare lock={createdLock} chainId={chainId} contract={swapClient.address} />
+          </div>
+        )}
       </CardContent>
     </Card>
   );
@@ -0,0 +1,267 @@
+"use client";
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { RefreshCw } from 'lucide-react';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { useSecretVault } from '@/lib/secret-vault-context';
+import { encodeSecret, verifySecret } from '@/lib/secret';
+import { formatExpiry, formatDuration } from '@/lib/timeout';
+import { SWAP_STATE_LABELS } from '@/lib/swap-lifecycle';
+import { inspectLock, LOCK_ACTIONS, LOCK_ACTION_LABELS } from '@/lib/lock-inspection';
+import TokenAmount from './TokenAmount';
+import LockVerification from './LockVerification';
+import DeriveSecretButton from './DeriveSecretButton';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('LockInspector');
+
+const Field = ({ label, children }) => (
+  <div className="flex justify-between gap-4 py-1">
+    <span className="font-medium">{label}:</span>
+    <span className="font-mono break-all text-right">{children}</span>
+  </div>
+);
+
+// On-chain value, events and available actions of one lock. `terms` are the
+// lock's terms from the URL, used when the lock is not indexed.
+const LockInspector = ({ lockId, terms = null }) => {
+  const {
+    events,
+    account,
+    swapClient,
+    getLockValue,
+    getChainTime,
+    unlock,
+    decline,
+    retrieve,
+    verifyLockBeforeUnlock
+  } = useBlockchain();
+  const { findSecret } = useSecretVault();
+  const [chainData, setChainData] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [showUnlock, setShowUnlock] = useState(false);
+  const [secret, setSecret] = useState('');
+  const [expectedValue, setExpectedValue] = useState('');
+  const [verification, setVerification] = useState(null);
+
+  // Latest context functions for the loading effect
+  const readersRef = useRef({ getLockValue, getChainTime });
+  readersRef.current = { getLockValue, getChainTime };
+
+  // Read the lock value and chain time; again after every new event
+  useEffect(() => {
+    if (!swapClient) return;
+    let cancelled = false;
+    Promise.all([readersRef.current.getLockValue(lockId), readersRef.current.getChainTime()])
+      .then(([lockValue, now]) => {
+        if (!cancelled) setChainData({ lockValue, now });
+      })
+      .catch(error => {
+        logger.error("Error inspecting lock:", error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [swapClient, lockId, events.length, refreshKey]);
+
+  const inspection = useMemo(() => chainData && inspectLock({
+    lockId,
+    lockValue: chainData.lockValue,
+    events,
+    account,
+    now: chainData.now,
+    terms
+  }), [chainData, lockId, events, account, terms]);
+
+  const runAction = async (action, handler) => {
+    setPendingAction(action);
+    try {
+      await handler();
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      logger.error(`Error in ${action}:`, error);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleUnlock = () => runAction(LOCK_ACTIONS.UNLOCK, async () => {
+    const { token, creator, hashedSecret, timeout } = inspection.terms;
+    if (!verifySecret(secret, hashedSecret)) {
+      alert("This secret does not match the lock's hashed secret");
+      return;
+    }
+
+    // Unlocking reveals the secret, so confirm the lock's terms first
+    const result = await verifyLockBeforeUnlock({ tokenAddress: token, creator, hashedSecret, timeout, expectedValue });
+    setVerification(result);
+    if (!result.ok) return;
+
+    await unlock(token, creator, encodeSecret(secret), timeout, hashedSecret);
+    setShowUnlock(false);
+  });
+
+  const handleDecline = () => {
+    if (!confirm("Decline this lock and return the funds to its creator?")) return;
+    const { token, creator, hashedSecret, timeout } = inspection.terms;
+    runAction(LOCK_ACTIONS.DECLINE, () => decline(token, creator, hashedSecret, timeout));
+  };
+
+  const handleRetrieve = () => {
+    const { token, recipient, hashedSecret, timeout } = inspection.terms;
+    runAction(LOCK_ACTIONS.RETRIEVE, () => retrieve(token, recipient, hashedSecret, timeout));
+  };
+
+  const actionHandlers = {
+    [LOCK_ACTIONS.UNLOCK]: () => {
+      // Secrets kept in the vault are filled in
+      if (!secret) setSecret(findSecret(inspection.terms.hashedSecret) || '');
+      setShowUnlock(true);
+    },
+    [LOCK_ACTIONS.DECLINE]: handleDecline,
+    [LOCK_ACTIONS.RETRIEVE]: handleRetrieve
+  };
+
+  const renderBody = () => {
+    if (!swapClient) {
+      return <p className="text-sm text-muted-foreground">Connect your wallet to inspect locks</p>;
+    }
+    if (!inspection) {
+      return <p className="text-sm text-muted-foreground">Loading lock...</p>;
+    }
+
+    const { lockEvent, resolution, terms: lockTerms, lockValue, state, remaining, actions } = inspection;
+
+    return (
+      <div className="space-y-4">
+        <div className="text-sm divide-y">
+          <Field label="Lock ID">{lockId}</Field>
+          <Field label="State">{state ? SWAP_STATE_LABELS[state] : 'Unknown'}</Field>
+          <Field label="Locked value">
+            {lockValue === 0n
+              ? 'Nothing locked'
+              : lockTerms
+                ? <TokenAmount token={lockTerms.token} value={lockValue.toString()} />
+                : `${lockValue.toString()} base units`}
+          </Field>
+          <Field label="Created by">
+            {lockEvent ? `${lockEvent.type} in ${lockEvent.transactionHash || 'an indexed event'}` : 'Not in the indexed events'}
+          </Field>
+          {lockTerms && (
+            <>
+              <Field label="Token">{lockTerms.token}</Field>
+              <Field label="Creator">{lockTerms.creator}</Field>
+              <Field label="Recipient">{lockTerms.recipient}</Field>
+              <Field label="Hashed Secret">{lockTerms.hashedSecret}</Field>
+              <Field label="Timeout">{formatExpiry(lockTerms.timeout)}</Field>
+              <Field label="Time left">
+                {remaining > 0 ? formatDuration(remaining) : `Timed out ${formatDuration(remaining)} ago`}
+              </Field>
+            </>
+          )}
+          {lockEvent?.buyLockId && <Field label="Buy Lock ID">{lockEvent.buyLockId}</Field>}
+          {lockEvent?.sellAssetId && <Field label="Sell Asset ID">{lockEvent.sellAssetId}</Field>}
+          {resolution && (
+            <>
+              <Field label="Resolved">
+                {resolution.type} on {new Date(resolution.timestamp).toLocaleString()}
+              </Field>
+              {resolution.secret && <Field label="Secret">{resolution.secret}</Field>}
+            </>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <h4 className="font-semibold text-sm">Your actions</h4>
+          {actions.map(({ action, allowed, reason }) => (
+            <div key={action} className="flex items-center justify-between gap-4">
+              <Button
+                size="sm"
+                variant={action === LOCK_ACTIONS.DECLINE ? 'destructive' : 'outline'}
+                disabled={!allowed || pendingAction !== null}
+                onClick={actionHandlers[action]}
+              >
+                {pendingAction === action ? 'Processing...' : LOCK_ACTION_LABELS[action]}
+              </Button>
+              <span className="text-xs text-gray-500">{allowed ? 'Available now' : reason}</span>
+            </div>
+          ))}
+        </div>
+
+        {showUnlock && (
+          <div className="space-y-3 border rounded-md p-3">
+            <div className="space-y-2">
+              <Label htmlFor="inspector-secret">Secret</Label>
+              <Input
+                id="inspector-secret"
+                placeholder="Enter secret (raw text or 0x hex format)"
+                value={secret}
+                onChange={(e) => {
+                  setSecret(e.target.value);
+                  setVerification(null);
+                }}
+              />
+              <DeriveSecretButton
+                hashedSecret={lockTerms.hashedSecret}
+                onDerived={(derived) => {
+                  setSecret(derived);
+                  setVerification(null);
+                }}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="inspector-expected">Expected Amount</Label>
+              <Input
+                id="inspector-expected"
+                inputMode="decimal"
+                placeholder="Amount you agreed to receive"
+                value={expectedValue}
+                onChange={(e) => {
+                  setExpectedValue(e.target.value);
+                  setVerification(null);
+                }}
+              />
+            </div>
+            {verification && <LockVerification verification={verification} />}
+            <div className="flex justify-end space-x-2">
+              <Button variant="outline" size="sm" onClick={() => setShowUnlock(false)}>
+                Cancel
+              </Button>
+              <Button size="sm" onClick={handleUnlock} disabled={!secret || pendingAction !== null}>
+                Verify and Unlock
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card className="w-full">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <div>
+          <CardTitle>Lock Inspector</CardTitle>
+          <CardDescription>What this lock holds on chain and what you can do with it</CardDescription>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setRefreshKey(key => key + 1)}
+          disabled={!swapClient}
+        >
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Refresh
+        </Button>
+      </CardHeader>
+      <CardContent>{renderBody()}</CardContent>
+    </Card>
+  );
+};
+
+export default LockInspector;
@@ -0,0 +1,113 @@
+"use client";
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Search } from 'lucide-react';
+import { isBytes32Hex } from '@/lib/secret';
+import { parseLockTerms } from '@/lib/lock-inspection';
+import { lockDetailsPath } from '@/lib/qr-payload';
+import QrScanner from './QrScanner';
+
+const EMPTY_TERMS = { token: '', creator: '', recipient: '', hashedSecret: '', timeout: '' };
+
+const TERM_FIELDS = [
+  { name: 'token', label: 'Token Address', placeholder: '0x...' },
+  { name: 'creator', label: 'Creator', placeholder: '0x...' },
+  { name: 'recipient', label: 'Recipient', placeholder: '0x...' },
+  { name: 'hashedSecret', label: 'Hashed Secret', placeholder: '0x...' },
+  { name: 'timeout', label: 'Timeout (Unix seconds)', placeholder: '1700000000' }
+];
+
+// Open the lock inspector for a lock ID, or for the terms a lock ID is
+// computed from. Terms travel along in the URL so locks that aren't indexed
+// can still be acted on.
+const LockLookup = ({ initialLockId = '' }) => {
+  const router = useRouter();
+  const [mode, setMode] = useState('id');
+  const [lockId, setLockId] = useState(initialLockId);
+  const [terms, setTerms] = useState(EMPTY_TERMS);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (mode === 'id') {
+      if (!isBytes32Hex(lockId)) {
+        alert("Please enter a 0x-prefixed bytes32 lock ID");
+        return;
+      }
+      router.push(`/lock/${lockId}`);
+      return;
+    }
+
+    const parsed = parseLockTerms(terms);
+    if (!parsed) {
+      alert("Please enter valid addresses, a bytes32 hashed secret and a timeout in Unix seconds");
+      return;
+    }
+    router.push(lockDetailsPath(parsed));
+  };
+
+  // Offer and lock QR codes both name a lock, usually with its terms
+  const handleScan = ({ lockId: scannedLockId, terms: scannedTerms }) => {
+    router.push(scannedTerms ? lockDetailsPath(scannedTerms) : `/lock/${scannedLockId}`);
+  };
+
+  return (
+    <Card className="w-full mt-8">
+      <CardHeader>
+        <CardTitle>Look Up a Lock</CardTitle>
+        <CardDescription>
+          Check what any lock holds on chain, with or without a wallet
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="flex space-x-4 text-sm">
+            <label className="flex items-center space-x-1">
+              <input type="radio" checked={mode === 'id'} onChange={() => setMode('id')} />
+              <span>Lock ID</span>
+            </label>
+            <label className="flex items-center space-x-1">
+              <input type="radio" checked={mode === 'terms'} onChange={() => setMode('terms')} />
+              <span>Lock terms</span>
+            </label>
+          </div>
+
+          {mode === 'id' ? (
+            <Input
+              placeholder="Lock ID (0x...)"
+              value={lockId}
+              onChange={(e) => setLockId(e.target.value.trim())}
+            />
+          ) : (
+            TERM_FIELDS.map(field => (
+              <div key={field.name} className="space-y-2">
+                <Label htmlFor={`lookup-${field.name}`}>{field.label}</Label>
+                <Input
+                  id={`lookup-${field.name}`}
+                  placeholder={field.placeholder}
+                  value={terms[field.name]}
+                  onChange={(e) => setTerms({ ...terms, [field.name]: e.target.value.trim() })}
+                />
+              </div>
+            ))
+          )}
+
+          <div className="flex space-x-2">
+            <Button type="submit" variant="outline" className="flex-1">
+              <Search className="h-4 w-4 mr-2" />
+              Inspect Lock
+            </Button>
+            <QrScanner onScan={handleScan} />
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LockLookup;
@@ -1,29 +1,97 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { ethers } from 'ethers';
 import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useBlockchain } from '@/lib/blockchain-context';
+import { isBytes32Hex } from '@/lib/secret';
+import { parseTokenAmount } from '@/lib/token-metadata';
+import { DEFAULT_APPROVAL, resolveApprovalAmount } from '@/lib/allowances';
+import { formatExpiry, formatDuration, latestSellExpiry } from '@/lib/timeout';
+import { lockSafetyMargin } from '@/lib/contractrefs';
+import { findLockEvent } from '@/lib/lock-verification';
+import { verifyOffer } from '@/lib/offer';
+import TimeoutInput from './TimeoutInput';
+import ApprovalInput from './ApprovalInput';
+import QrScanner from './QrScanner';
+import { useTokenMetadata } from './TokenAmount';
+import { createLogger } from '@/lib/logger';
 
-const LockSell = () => {
-  const [tokenAddress, setTokenAddress] = useState('');
-  const [recipient, setRecipient] = useState('');
-  const [secret, setSecret] = useState('');
-  const [hashedSecret, setHashedSecret] = useState('');
-  const [timeout, setTimeout] = useState(3600); // 1 hour in seconds
-  const [value, setValue] = useState('0.01'); // Default amount
-  const [buyAssetId, setBuyAssetId] = useState('');
-  const [buyLockId, setBuyLockId] = useState('');
+const logger = createLogger('LockSell');
+
+// Asset and lock IDs as bytes32: 0x-prefixed values as given, other text
+// hashed, empty fields zero
+const toBytes32 = (value) => {
+  if (!value || value.trim() === '') return ethers.ZeroHash;
+  return value.startsWith('0x') && value.length === 66
+    ? value
+    : ethers.keccak256(ethers.toUtf8Bytes(value));
+};
+
+// `offer` is a decoded offer link that prefills the form, `offerError` why
+// an offer link could not be read. Scanning an offer QR code replaces both.
+const LockSell = ({ offer: linkedOffer = null, offerError: linkedOfferError = null }) => {
+  const [offer, setOffer] = useState(linkedOffer);
+  const [offerError, setOfferError] = useState(linkedOfferError);
+  const [tokenAddress, setTokenAddress] = useState(linkedOffer?.sellToken || '');
+  const [recipient, setRecipient] = useState(linkedOffer?.buyer || '');
+  const [hashedSecret, setHashedSecret] = useState(linkedOffer?.hashedSecret || '');
+  const [timeout, setTimeoutValue] = useState(null); // Absolute expiry (Unix seconds)
+  const [value, setValue] = useState(linkedOffer?.sellAmount || '0.01'); // Amount in human units of the token
+  const [buyAssetId, setBuyAssetId] = useState(linkedOffer?.sellAssetId || '');
+  const [buyLockId, setBuyLockId] = useState(linkedOffer?.lockId || '');
+  const [approval, setApproval] = useState(DEFAULT_APPROVAL);
   const [loading, setLoading] = useState(false);
   const [tokenBalance, setTokenBalance] = useState(null);
   const [balanceLoading, setBalanceLoading] = useState(false);
+  const [offerLockValue, setOfferLockValue] = useState(undefined);
 
   const {
     lockSell,
     isConnected,
-    getTokenBalance
+    account,
+    chainId,
+    events,
+    swapClient,
+    getTokenBalance,
+    getSellTimeoutPolicy
   } = useBlockchain();
+  const tokenMetadata = useTokenMetadata(tokenAddress);
+
+  // The buy lock this sell answers decides the latest allowed timeout
+  const timeoutPolicy = isBytes32Hex(buyLockId) ? getSellTimeoutPolicy(buyLockId) : null;
+
+  // Read the offered buy lock's value; again after every new event. A
+  // failed read is null, so it is not mistaken for an empty lock.
+  useEffect(() => {
+    if (!offer || !swapClient) return;
+    let cancelled = false;
+    swapClient.getLockValue(offer.lockId).catch(error => {
+      logger.error("Error reading the offered buy lock:", error);
+      return null;
+    }).then(lockValue => {
+      if (!cancelled) setOfferLockValue(lockValue);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [offer, swapClient, events.length]);
+
+  // Offer fields that don't match the chain or the connected wallet
+  const offerProblems = useMemo(() => offer && verifyOffer(offer, {
+    lockEvent: findLockEvent(events, offer.lockId),
+    lockValue: offerLockValue,
+    account,
+    chainId,
+    contract: swapClient?.address,
+    form: {
+      recipient,
+      hashedSecret,
+      buyAssetId: toBytes32(buyAssetId),
+      buyLockId: toBytes32(buyLockId)
+    }
+  }), [offer, events, offerLockValue, account, chainId, swapClient, recipient, hashedSecret, buyAssetId, buyLockId]);
 
   // Fetch token balance when tokenAddress changes
   useEffect(() => {
@@ -34,7 +102,7 @@ const LockSell = () => {
           const balance = await getTokenBalance(tokenAddress);
           setTokenBalance(balance);
         } catch (error) {
-          console.error("Error fetching token balance:", error);
+          logger.error("Error fetching token balance:", error);
           setTokenBalance(null);
         } finally {
           setBalanceLoading(false);
@@ -47,6 +115,19 @@ const LockSell = () => {
     fetchBalance();
   }, [tokenAddress, isConnected, getTokenBalance]);
 
+  // Prefill the form from a scanned offer QR code
+  const handleScan = ({ offer: scannedOffer }) => {
+    setOffer(scannedOffer);
+    setOfferError(null);
+    setOfferLockValue(undefined);
+    if (scannedOffer.sellToken) setTokenAddress(scannedOffer.sellToken);
+    if (scannedOffer.sellAmount) setValue(scannedOffer.sellAmount);
+    setRecipient(scannedOffer.buyer);
+    setHashedSecret(scannedOffer.hashedSecret);
+    setBuyAssetId(scannedOffer.sellAssetId);
+    setBuyLockId(scannedOffer.lockId);
+  };
+
   const handleTokenAddressChange = (e) => {
     setTokenAddress(e.target.value);
   };
@@ -59,6 +140,11 @@ const LockSell = () => {
         throw new Error("Wallet not connected");
       }
       
+      if (offerProblems && offerProblems.length > 0) {
+        alert(`Do not lock yet. This offer has problems:\n${offerProblems.join('\n')}`);
+        return;
+      }
+      
       if (!tokenAddress || !ethers.isAddress(tokenAddress)) {
         alert("Please enter a valid token address");
         return;
@@ -74,22 +160,43 @@ const LockSell = () => {
         return;
       }
       
-      // Ensure valid format for asset ID and lock ID
-      const formattedBuyAssetId = buyAssetId && buyAssetId.trim() !== '' 
-        ? (buyAssetId.startsWith('0x') && buyAssetId.length === 66 
-            ? buyAssetId 
-            : ethers.keccak256(ethers.toUtf8Bytes(buyAssetId)))
-        : ethers.ZeroHash;
+      // The seller only ever sees the hash, never the secret itself
+      if (!isBytes32Hex(hashedSecret)) {
+        alert("The hashed secret must be the 0x-prefixed bytes32 value from the buyer's lock");
+        return;
+      }
       
-      const formattedBuyLockId = buyLockId && buyLockId.trim() !== ''
-        ? (buyLockId.startsWith('0x') && buyLockId.length === 66
-            ? buyLockId
-            : ethers.keccak256(ethers.toUtf8Bytes(buyLockId)))
-        : ethers.ZeroHash;
+      if (!timeout) {
+        alert("Please choose a valid timeout");
+        return;
+      }
+      
+      if (timeoutPolicy && Number(timeout) > timeoutPolicy.latestExpiry) {
+        alert(`Please choose a timeout at or before ${formatExpiry(timeoutPolicy.latestExpiry)}`);
+        return;
+      }
+      
+      if (!tokenMetadata) {
+        alert("Could not read the token's decimals. Check the token address and network.");
+        return;
+      }
+      
+      // The amount must convert exactly with the token's decimals and fit the approval
+      try {
+        const lockValue = parseTokenAmount(value, tokenMetadata.decimals, "value");
+        resolveApprovalAmount(approval, lockValue, tokenMetadata.decimals);
+      } catch (amountError) {
+        alert(amountError.message);
+        return;
+      }
+      
+      // Ensure valid format for asset ID and lock ID
+      const formattedBuyAssetId = toBytes32(buyAssetId);
+      const formattedBuyLockId = toBytes32(buyLockId);
       
       setLoading(true);
       
-      console.log("Submitting lockSell transaction with parameters:", {
+      logger.debug("Submitting lockSell transaction with parameters:", {
         tokenAddress,
         recipient,
         hashedSecret,
@@ -106,10 +213,11 @@ const LockSell = () => {
         Number(timeout),
         value,
         formattedBuyAssetId,
-        formattedBuyLockId
+        formattedBuyLockId,
+        approval
       );
     } catch (error) {
-      console.error("Error in lockSell transaction:", error);
+      logger.error("Error in lockSell transaction:", error);
       alert(`Transaction failed: ${error.message}`);
     } finally {
       setLoading(false);
@@ -126,6 +234,28 @@ const LockSell = () => {
       </CardHeader>
       <CardContent>
         <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="flex justify-end">
+            <QrScanner onScan={handleScan} accept={['offer']} label="Scan offer QR" />
+          </div>
+          
+          {offerError && (
+            <div className="p-3 rounded-md border border-red-200 bg-red-50 text-sm text-red-700">
+              Could not open the offer link: {offerError}
+            </div>
+          )}
+          {offerProblems && (offerProblems.length > 0 ? (
+            <div className="p-3 rounded-md border border-red-200 bg-red-50 text-sm text-red-700 space-y-1">
+              <p className="font-medium">Do not lock yet. This offer has problems:</p>
+              <ul className="list-disc pl-5">
+                {offerProblems.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+            </div>
+          ) : (
+            <div className="p-3 rounded-md border border-green-200 bg-green-50 text-sm text-green-700">
+              This offer matches the buy lock on chain. Check the token and amount before locking.
+            </div>
+          ))}
+          
           <div className="space-y-2">
             <Label htmlFor="tokenAddress">Token Address</Label>
             <Input
@@ -162,7 +292,7 @@ const LockSell = () => {
             <div className="flex space-x-2">
               <Input
                 id="secret"
-                placeholder="Enter a secret or 'random'"
+                placeholder="0x... hashed secret from the buyer's lock"
                 value={hashedSecret}
                 onChange={(e) => setHashedSecret(e.target.value)}
                 required
@@ -173,31 +303,35 @@ const LockSell = () => {
           
          
           
-          <div className="space-y-2">
-            <Label htmlFor="timeout">Timeout (seconds)</Label>
-            <Input
-              id="timeout"
-              type="number"
-              min="60"
-              value={timeout}
-              onChange={(e) => setTimeout(e.target.value)}
-              required
-            />
-          </div>
+          <TimeoutInput
+            key={offer ? offer.lockId : 'manual'}
+            onChange={setTimeoutValue}
+            initialExpiry={offer ? latestSellExpiry(offer.timeout, lockSafetyMargin) : null}
+            maxExpiry={timeoutPolicy ? timeoutPolicy.latestExpiry : null}
+            maxExpiryMessage={timeoutPolicy
+              ? `Your lock must expire at least ${formatDuration(timeoutPolicy.margin)} before the buy lock (${formatExpiry(timeoutPolicy.buyLock.timeout)}).`
+              : undefined}
+          />
           
           <div className="space-y-2">
-            <Label htmlFor="value">Value </Label>
+            <Label htmlFor="value">Amount{tokenMetadata ? ` (${tokenMetadata.symbol})` : ''}</Label>
             <Input
               id="value"
-              type="number"
-              step="0.000000000000000001"
-              min="0"
+              inputMode="decimal"
+              placeholder="0.0"
               value={value}
               onChange={(e) => setValue(e.target.value)}
               required
             />
           </div>
           
+          <ApprovalInput
+            token={tokenAddress}
+            symbol={tokenMetadata ? tokenMetadata.symbol : ''}
+            approval={approval}
+            onChange={setApproval}
+          />
+          
           <div className="space-y-2">
             <Label htmlFor="buyAssetId">Buy Asset ID</Label>
             <Input
@@ -218,6 +352,16 @@ const LockSell = () => {
               onChange={(e) => setBuyLockId(e.target.value)}
               required
             />
+            {timeoutPolicy ? (
+              <p className="text-xs text-gray-500">
+                Buy lock expires at {formatExpiry(timeoutPolicy.buyLock.timeout)}.
+                Your timeout must be at or before {formatExpiry(timeoutPolicy.latestExpiry)}.
+              </p>
+            ) : isBytes32Hex(buyLockId) ? (
+              <p className="text-xs text-yellow-600">
+                This buy lock is not in the indexed events yet. Refresh the events before locking.
+              </p>
+            ) : null}
           </div>
           
           <Button type="submit" className="w-full" disabled={loading || !isConnected}>
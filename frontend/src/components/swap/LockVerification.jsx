@@ -0,0 +1,32 @@
+import { AlertTriangle, CheckCircle2 } from 'lucide-react';
+
+// Outcome of checking a lock before unlocking it; renders nothing until a
+// check has run
+const LockVerification = ({ verification }) => {
+  if (!verification) return null;
+
+  if (verification.ok) {
+    return (
+      <div className="p-3 rounded-md border border-green-200 bg-green-50 text-sm text-green-700 flex items-center">
+        <CheckCircle2 className="h-4 w-4 mr-2" />
+        The lock matches the agreed terms.
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-3 rounded-md border border-red-200 bg-red-50 text-sm text-red-700">
+      <div className="flex items-center font-medium mb-1">
+        <AlertTriangle className="h-4 w-4 mr-2" />
+        Unlock blocked: the lock does not match the agreed terms
+      </div>
+      <ul className="list-disc list-inside space-y-1">
+        {verification.problems.map(problem => (
+          <li key={problem}>{problem}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default LockVerification;
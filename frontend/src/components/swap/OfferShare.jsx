@@ -0,0 +1,84 @@
+"use client";
+
+import { useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Copy, CheckCircle2 } from 'lucide-react';
+import { offerFromLockBuy, buildOfferUrl } from '@/lib/offer';
+import QrCodeButton from './QrCodeButton';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('OfferShare');
+
+// Link for the seller to answer a new buy lock. `lock` has the fields of a
+// formatted LockBuy event.
+const OfferShare = ({ lock, chainId, contract }) => {
+  const [sellToken, setSellToken] = useState('');
+  const [sellAmount, setSellAmount] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const link = useMemo(() => {
+    if (typeof window === 'undefined') return '';
+    try {
+      const offer = offerFromLockBuy(lock, {
+        chainId,
+        contract,
+        sellToken: ethers.isAddress(sellToken) ? sellToken : undefined,
+        sellAmount: sellAmount.trim()
+      });
+      return buildOfferUrl(offer, window.location.origin);
+    } catch (error) {
+      logger.error("Error building offer link:", error);
+      return '';
+    }
+  }, [lock, chainId, contract, sellToken, sellAmount]);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      logger.error("Failed to copy offer link:", error);
+    }
+  };
+
+  return (
+    <div className="space-y-3 p-3 rounded-md border border-blue-200 bg-blue-50">
+      <p className="text-sm font-medium">Share this offer with the seller</p>
+      <div className="space-y-2">
+        <Label htmlFor="offerSellToken">Token you want (optional)</Label>
+        <Input
+          id="offerSellToken"
+          placeholder="0x..."
+          value={sellToken}
+          onChange={(e) => setSellToken(e.target.value.trim())}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="offerSellAmount">Amount you want (optional)</Label>
+        <Input
+          id="offerSellAmount"
+          inputMode="decimal"
+          placeholder="0.0"
+          value={sellAmount}
+          onChange={(e) => setSellAmount(e.target.value)}
+        />
+      </div>
+      <div className="flex space-x-2">
+        <Input value={link} readOnly className="font-mono text-xs" />
+        <Button type="button" variant="outline" onClick={copyLink} disabled={!link}>
+          {copied ? <CheckCircle2 className="h-4 w-4 text-green-500" /> : <Copy className="h-4 w-4" />}
+        </Button>
+        <QrCodeButton value={link} title="Offer for the seller" />
+      </div>
+      <p className="text-xs text-gray-500">
+        The link carries no secret. The seller&apos;s form checks it against your lock on chain.
+      </p>
+    </div>
+  );
+};
+
+export default OfferShare;
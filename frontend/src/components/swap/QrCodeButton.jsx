@@ -0,0 +1,73 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import Image from 'next/image';
+import QRCode from 'qrcode';
+import { Button } from '@/components/ui/button';
+import { QrCode } from 'lucide-react';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('QrCodeButton');
+
+// Button that shows `value` as a QR code, for scanning on another device
+const QrCodeButton = ({ value, title = "Scan on another device", label = "QR" }) => {
+  const [open, setOpen] = useState(false);
+  const [dataUrl, setDataUrl] = useState('');
+
+  useEffect(() => {
+    if (!open || !value) return;
+    let cancelled = false;
+    QRCode.toDataURL(value, { errorCorrectionLevel: 'M', margin: 2, width: 320 })
+      .then(url => {
+        if (!cancelled) setDataUrl(url);
+      })
+      .catch(error => {
+        logger.error("Error drawing QR code:", error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, value]);
+
+  const close = () => {
+    setOpen(false);
+    setDataUrl('');
+  };
+
+  return (
+    <>
+      <Button type="button" variant="outline" size="sm" onClick={() => setOpen(true)} disabled={!value}>
+        <QrCode className="h-4 w-4 mr-1" />
+        {label}
+      </Button>
+
+      {open && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white p-5 rounded-lg max-w-sm w-full">
+            <h3 className="text-lg font-bold mb-4">{title}</h3>
+            <div className="flex justify-center mb-4">
+              {dataUrl ? (
+                <Image src={dataUrl} alt="QR code" width={320} height={320} unoptimized />
+              ) : (
+                <p className="text-sm text-gray-500">Drawing QR code...</p>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 font-mono break-all mb-4">{value}</p>
+            <div className="flex justify-end space-x-2">
+              {dataUrl && (
+                <Button variant="outline" asChild>
+                  <a href={dataUrl} download="swap-lock-qr.png">Download</a>
+                </Button>
+              )}
+              <Button variant="outline" onClick={close}>
+                Close
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default QrCodeButton;
@@ -0,0 +1,170 @@
+"use client";
+
+import { useEffect, useRef, useState } from 'react';
+import jsQR from 'jsqr';
+import { Button } from '@/components/ui/button';
+import { ScanQrCode } from 'lucide-react';
+import { parseQrText } from '@/lib/qr-payload';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('QrScanner');
+
+const KIND_LABELS = { offer: 'a swap offer', lock: 'a lock' };
+
+// Text of the QR code in `source` (a video frame or image), or null
+const readQrCode = (source, width, height, canvas) => {
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+  return jsQR(data, width, height)?.data || null;
+};
+
+// Button that scans a swap QR code with the camera or from an uploaded
+// image. `onScan` receives the parsed payload (see qr-payload.js) when its
+// kind is one of `accept`.
+const QrScanner = ({ onScan, accept = ['offer', 'lock'], label = "Scan QR" }) => {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const [cameraError, setCameraError] = useState(null);
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  // Latest handler and settings for the camera loop
+  const handleTextRef = useRef(null);
+  handleTextRef.current = (text) => {
+    try {
+      const payload = parseQrText(text);
+      if (!accept.includes(payload.kind)) {
+        throw new Error(`This QR code holds ${KIND_LABELS[payload.kind]}, but this form needs ${accept.map(kind => KIND_LABELS[kind]).join(' or ')}`);
+      }
+      setOpen(false);
+      onScan(payload);
+      return true;
+    } catch (scanError) {
+      setError(scanError.message);
+      return false;
+    }
+  };
+
+  // Read frames from the camera until a usable QR code shows up
+  useEffect(() => {
+    if (!open) return;
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setCameraError("This browser cannot use the camera. Upload a picture of the QR code instead.");
+      return;
+    }
+
+    let stream = null;
+    let frame = null;
+    let stopped = false;
+    let lastText = null;
+
+    const scanFrame = () => {
+      if (stopped) return;
+      const video = videoRef.current;
+      if (video && video.readyState >= video.HAVE_ENOUGH_DATA) {
+        const text = readQrCode(video, video.videoWidth, video.videoHeight, canvasRef.current);
+        // A rejected code stays in view; only report it once
+        if (text && text !== lastText) {
+          lastText = text;
+          if (handleTextRef.current(text)) return;
+        }
+      }
+      frame = requestAnimationFrame(scanFrame);
+    };
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then(mediaStream => {
+        stream = mediaStream;
+        if (stopped) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        videoRef.current.play().catch(playError => {
+          // Closing the dialog before playback starts aborts it
+          if (stopped) return;
+          logger.error("Error starting camera preview:", playError);
+          setCameraError("Could not start the camera. Upload a picture of the QR code instead.");
+        });
+        frame = requestAnimationFrame(scanFrame);
+      })
+      .catch(mediaError => {
+        logger.error("Error opening camera:", mediaError);
+        setCameraError("Could not open the camera. Upload a picture of the QR code instead.");
+      });
+
+    return () => {
+      stopped = true;
+      if (frame) cancelAnimationFrame(frame);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, [open]);
+
+  const handleImage = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const image = await createImageBitmap(file);
+      const text = readQrCode(image, image.width, image.height, canvasRef.current);
+      image.close();
+      if (!text) {
+        setError("No QR code found in this image");
+        return;
+      }
+      handleTextRef.current(text);
+    } catch (imageError) {
+      logger.error("Error reading QR image:", imageError);
+      setError("Could not read this image");
+    }
+  };
+
+  const openScanner = () => {
+    setError(null);
+    setCameraError(null);
+    setOpen(true);
+  };
+
+  return (
+    <>
+      <Button type="button" variant="outline" size="sm" onClick={openScanner}>
+        <ScanQrCode className="h-4 w-4 mr-1" />
+        {label}
+      </Button>
+
+      {open && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white p-5 rounded-lg max-w-sm w-full">
+            <h3 className="text-lg font-bold mb-4">Scan a QR Code</h3>
+
+            {cameraError ? (
+              <p className="text-sm text-gray-500 mb-4">{cameraError}</p>
+            ) : (
+              <video ref={videoRef} className="w-full rounded-md bg-black mb-4" muted playsInline />
+            )}
+            <canvas ref={canvasRef} className="hidden" />
+
+            <div className="space-y-2 mb-4">
+              <label htmlFor="qr-image" className="text-sm font-medium">Or upload an image</label>
+              <input id="qr-image" type="file" accept="image/*" className="block w-full text-sm" onChange={handleImage} />
+            </div>
+
+            {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+            <div className="flex justify-end">
+              <Button variant="outline" onClick={() => setOpen(false)}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default QrScanner;
@@ -5,16 +5,23 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useBlockchain } from '@/lib/blockchain-context';
+import { useChainTime } from './TimeoutInput';
+import { formatExpiry, formatDuration } from '@/lib/timeout';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('Retrieve');
 
 const Retrieve = () => {
   const [tokenAddress, setTokenAddress] = useState('');
   const [recipient, setRecipient] = useState('');
   const [hashedSecret, setHashedSecret] = useState('');
-  const [timeout, setTimeout] = useState(3600); // 1 hour in seconds
+  const [timeout, setTimeoutValue] = useState(''); // Lock expiry (Unix seconds)
   const [loading, setLoading] = useState(false);
   const [tokenBalance, setTokenBalance] = useState(null);
   const [balanceLoading, setBalanceLoading] = useState(false);
 
+  const chainTime = useChainTime(timeout);
+
   const {
     retrieve,
     isConnected,
@@ -30,7 +37,7 @@ const Retrieve = () => {
           const balance = await getTokenBalance(tokenAddress);
           setTokenBalance(balance);
         } catch (error) {
-          console.error("Error fetching token balance:", error);
+          logger.error("Error fetching token balance:", error);
           setTokenBalance(null);
         } finally {
           setBalanceLoading(false);
@@ -69,6 +76,11 @@ const Retrieve = () => {
         return;
       }
       
+      if (chainTime && Number(timeout) > chainTime) {
+        alert(`This lock has not timed out yet. It can be retrieved after ${formatExpiry(timeout)}.`);
+        return;
+      }
+      
       setLoading(true);
       await retrieve(
         tokenAddress,
@@ -77,7 +89,7 @@ const Retrieve = () => {
         Number(timeout)
       );
     } catch (error) {
-      console.error("Error in retrieve transaction:", error);
+      logger.error("Error in retrieve transaction:", error);
     } finally {
       setLoading(false);
     }
@@ -136,15 +148,27 @@ const Retrieve = () => {
           </div>
           
           <div className="space-y-2">
-            <Label htmlFor="timeout">Timeout (seconds)</Label>
+            <Label htmlFor="timeout">Lock Timeout (Unix timestamp)</Label>
             <Input
               id="timeout"
               type="number"
-              min="60"
+              min="1"
+              placeholder="e.g. 1767225600"
               value={timeout}
-              onChange={(e) => setTimeout(e.target.value)}
+              onChange={(e) => setTimeoutValue(e.target.value)}
               required
             />
+            {timeout && chainTime && (
+              Number(timeout) <= chainTime ? (
+                <p className="text-xs text-green-600">
+                  Timed out at {formatExpiry(timeout)}. The lock can be retrieved.
+                </p>
+              ) : (
+                <p className="text-xs text-yellow-600">
+                  Times out at {formatExpiry(timeout)}. Retrievable in {formatDuration(Number(timeout) - chainTime)}.
+                </p>
+              )
+            )}
           </div>
           
           <Button type="submit" className="w-full" disabled={loading || !isConnected}>
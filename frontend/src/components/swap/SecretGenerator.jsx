@@ -5,65 +5,86 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useBlockchain } from '@/lib/blockchain-context';
+import { useSecretVault } from '@/lib/secret-vault-context';
+import { formatExpiry } from '@/lib/timeout';
+import { generateSecret, hashSecret } from '@/lib/secret';
+import TimeoutInput from './TimeoutInput';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('SecretGenerator');
 
 const SecretGenerator = () => {
   const [secret, setSecret] = useState('');
   const [hashedSecret, setHashedSecret] = useState('');
   const [lockId, setLockId] = useState('');
-  const [customToken, setCustomToken] = useState(''); // Default to USDT
-  const [customTimeout, setCustomTimeout] = useState('3600');
+  const [customToken, setCustomToken] = useState('');
+  const [customRecipient, setCustomRecipient] = useState('');
+  const [customTimeout, setCustomTimeout] = useState(null); // Absolute expiry (Unix seconds)
   const [copiedStates, setCopiedStates] = useState({
     secret: false,
     hashedSecret: false,
     lockId: false
   });
   
-  const { account, calculateLockId } = useBlockchain();
+  const [savedKey, setSavedKey] = useState(null); // Secret and lock ID last saved
+  const currentKey = `${hashedSecret}:${lockId}`;
+  
+  const { account, chainId, calculateLockId } = useBlockchain();
+  const { isUnlocked: vaultUnlocked, saveSecret } = useSecretVault();
 
-  const generateSecret = () => {
+  const handleGenerate = () => {
     try {
       // Generate a random secret
-      const randomBytes = ethers.randomBytes(32);
-      const secret = ethers.hexlify(randomBytes);
+      const secret = generateSecret();
       setSecret(secret);
       
-      // Hash the secret using the method from the script
-      const hashedSecret = ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [secret])
-      );
+      const hashedSecret = hashSecret(secret);
       setHashedSecret(hashedSecret);
       
       // Calculate the lock ID using the real context function
-      if (account && customToken) {
+      if (account && customTimeout && ethers.isAddress(customToken) && ethers.isAddress(customRecipient)) {
         const lockId = calculateLockId(
           customToken, 
           account, 
+          customRecipient,
           hashedSecret,
           Number(customTimeout)
         );
         setLockId(lockId);
       }
       
-      console.log("🔐 Lock ID:", lockId);
-      console.log("🔑 Secret (save this safely):", secret);
-      console.log("# Hashed Secret:", hashedSecret);
+      logger.debug("Generated a secret with hashed secret:", hashedSecret);
     } catch (error) {
-      console.error("Error generating secret:", error);
+      logger.error("Error generating secret:", error);
     }
   };
   
   // Update lock ID when inputs change
   useEffect(() => {
-    if (hashedSecret && account && customToken) {
+    if (hashedSecret && account && customTimeout && ethers.isAddress(customToken) && ethers.isAddress(customRecipient)) {
       const newLockId = calculateLockId(
         customToken, 
         account, 
+        customRecipient,
         hashedSecret,
         Number(customTimeout)
       );
       setLockId(newLockId);
+    } else {
+      setLockId('');
     }
-  }, [hashedSecret, account, customToken, customTimeout, calculateLockId]);
+  }, [hashedSecret, account, customToken, customRecipient, customTimeout, calculateLockId]);
+
+  const handleSave = async () => {
+    const saved = await saveSecret({
+      secret,
+      lockId: lockId || null,
+      token: ethers.isAddress(customToken) ? customToken : null,
+      timeout: customTimeout,
+      chainId
+    });
+    if (saved) setSavedKey(currentKey);
+  };
 
   const copyToClipboard = (text, field) => {
     navigator.clipboard.writeText(text)
@@ -74,7 +95,7 @@ const SecretGenerator = () => {
         }, 2000);
       })
       .catch(err => {
-        console.error('Failed to copy: ', err);
+        logger.error('Failed to copy: ', err);
       });
   };
 
@@ -96,22 +117,26 @@ const SecretGenerator = () => {
               onChange={(e) => setCustomToken(e.target.value)}
               placeholder=""
             />
-            <p className="text-xs text-gray-500">Default: USDT</p>
           </div>
           
           <div className="space-y-2">
-            <Label htmlFor="customTimeout">Timeout in Seconds</Label>
+            <Label htmlFor="customRecipient">Recipient Address (for Lock ID calculation)</Label>
             <Input
-              id="customTimeout"
-              type="number"
-              value={customTimeout}
-              onChange={(e) => setCustomTimeout(e.target.value)}
-              min="60"
+              id="customRecipient"
+              value={customRecipient}
+              onChange={(e) => setCustomRecipient(e.target.value)}
+              placeholder="0x..."
             />
-            <p className="text-xs text-gray-500">Recommended: 3600 (1 hour) for testing, longer for production use</p>
+            <p className="text-xs text-gray-500">The counterparty who will be able to unlock the lock</p>
           </div>
           
-          <Button onClick={generateSecret} className="w-full">
+          <TimeoutInput
+            id="customTimeout"
+            label="Timeout (for Lock ID calculation)"
+            onChange={setCustomTimeout}
+          />
+          
+          <Button onClick={handleGenerate} className="w-full">
             Generate Random Secret
           </Button>
           
@@ -166,14 +191,30 @@ const SecretGenerator = () => {
                 </div>
               )}
               
+              <div className="space-y-1">
+                <Button
+                  type="button"
+                  variant="outline"
+                  className="w-full"
+                  onClick={handleSave}
+                  disabled={!vaultUnlocked || savedKey === currentKey}
+                >
+                  {savedKey === currentKey ? "Saved in Secret Vault" : "Save to Secret Vault"}
+                </Button>
+                {!vaultUnlocked && (
+                  <p className="text-xs text-yellow-600">Unlock your secret vault to keep this secret if the tab closes.</p>
+                )}
+              </div>
+              
               <div className="bg-gray-100 p-3 rounded-md text-xs font-mono dark:bg-gray-800 border border-gray-300 dark:border-gray-700">
                 <p className="font-bold mb-2">// Summary of Generated Values</p>
                 <p>Secret: <span className="text-red-500">{secret.substring(0, 10)}...{secret.substring(secret.length - 8)}</span> (PRIVATE)</p>
                 <p>Hashed Secret: <span className="text-green-500">{hashedSecret.substring(0, 10)}...{hashedSecret.substring(hashedSecret.length - 8)}</span> (PUBLIC)</p>
                 {lockId && <p>Lock ID: {lockId.substring(0, 10)}...{lockId.substring(lockId.length - 8)}</p>}
                 <p>Creator: {account || "Not connected"}</p>
+                <p>Recipient: {customRecipient || "Not set"}</p>
                 <p>Token: {customToken.substring(0, 10)}...{customToken.substring(customToken.length - 8)}</p>
-                <p>Timeout: {customTimeout}s</p>
+                <p>Timeout: {customTimeout ? `${customTimeout} (${formatExpiry(customTimeout)})` : "Not set"}</p>
               </div>
             </>
           )}
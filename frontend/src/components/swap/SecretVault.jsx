@@ -0,0 +1,186 @@
+"use client";
+
+import { useRef, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Lock, LockOpen, Download, Upload } from 'lucide-react';
+import { useSecretVault } from '@/lib/secret-vault-context';
+import { formatExpiry } from '@/lib/timeout';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('SecretVault');
+
+const shorten = (value) => value ? `${value.substring(0, 10)}...${value.substring(value.length - 8)}` : '-';
+
+// Unlock the browser's secret vault, list the stored secrets and move them
+// between browsers with encrypted backups
+const SecretVault = () => {
+  const { hasVault, isUnlocked, entries, unlockVault, lockVault, exportBackup, importBackup } = useSecretVault();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+
+    // The first passphrase becomes the vault's, so have it typed twice
+    if (!hasVault && passphrase !== confirmation) {
+      alert("The passphrases do not match");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      if (await unlockVault(passphrase)) {
+        setPassphrase('');
+        setConfirmation('');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const backup = await exportBackup();
+      const url = URL.createObjectURL(new Blob([backup], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `p2pswap-vault-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      logger.error("Error exporting vault backup:", error);
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBusy(true);
+    try {
+      if (await importBackup(await file.text(), backupPassphrase) !== null) {
+        setBackupPassphrase('');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Card className="w-full mt-8">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <div>
+          <CardTitle>Secret Vault</CardTitle>
+          <CardDescription>
+            Secrets of your locks, encrypted with your passphrase and kept in this browser
+          </CardDescription>
+        </div>
+        {isUnlocked && (
+          <Button variant="outline" size="sm" onClick={lockVault}>
+            <Lock className="h-4 w-4 mr-2" />
+            Lock
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent>
+        {!isUnlocked ? (
+          <form onSubmit={handleUnlock} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="vaultPassphrase">{hasVault ? 'Passphrase' : 'Choose a passphrase'}</Label>
+              <Input
+                id="vaultPassphrase"
+                type="password"
+                autoComplete={hasVault ? 'current-password' : 'new-password'}
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                required
+              />
+            </div>
+            {!hasVault && (
+              <div className="space-y-2">
+                <Label htmlFor="vaultConfirmation">Repeat the passphrase</Label>
+                <Input
+                  id="vaultConfirmation"
+                  type="password"
+                  autoComplete="new-password"
+                  value={confirmation}
+                  onChange={(e) => setConfirmation(e.target.value)}
+                  required
+                />
+                <p className="text-xs text-gray-500">
+                  The passphrase cannot be recovered. Without it the stored secrets are lost.
+                </p>
+              </div>
+            )}
+            <Button type="submit" variant="outline" className="w-full" disabled={busy || !passphrase}>
+              <LockOpen className="h-4 w-4 mr-2" />
+              {busy ? 'Unlocking...' : hasVault ? 'Unlock Vault' : 'Create Vault'}
+            </Button>
+          </form>
+        ) : (
+          <div className="space-y-4">
+            {entries.length === 0 ? (
+              <p className="text-sm text-muted-foreground">
+                No secrets yet. Secrets of new buy locks are saved here while the vault is unlocked.
+              </p>
+            ) : (
+              <div className="space-y-2 max-h-64 overflow-y-auto">
+                {entries.map(entry => (
+                  <div key={entry.hashedSecret} className="p-2 border rounded-md text-xs space-y-1">
+                    <p><span className="font-medium">Hashed Secret:</span> <span className="font-mono">{shorten(entry.hashedSecret)}</span></p>
+                    <p><span className="font-medium">Lock ID:</span> <span className="font-mono">{shorten(entry.lockId)}</span></p>
+                    <p><span className="font-medium">Token:</span> <span className="font-mono">{shorten(entry.token)}</span></p>
+                    <p><span className="font-medium">Timeout:</span> {entry.timeout ? formatExpiry(entry.timeout) : '-'}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="space-y-2 border-t pt-4">
+              <Button variant="outline" size="sm" onClick={handleExport} disabled={busy}>
+                <Download className="h-4 w-4 mr-2" />
+                Export Backup
+              </Button>
+              <p className="text-xs text-gray-500">
+                The backup stays encrypted with this vault&apos;s passphrase.
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="backupPassphrase">Passphrase of the backup to import</Label>
+              <div className="flex space-x-2">
+                <Input
+                  id="backupPassphrase"
+                  type="password"
+                  autoComplete="off"
+                  value={backupPassphrase}
+                  onChange={(e) => setBackupPassphrase(e.target.value)}
+                />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={busy || !backupPassphrase}
+                >
+                  <Upload className="h-4 w-4 mr-2" />
+                  Import
+                </Button>
+              </div>
+              <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SecretVault;
@@ -1,5 +1,6 @@
 "use client";
 
+import { useMemo } from "react";
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
 import LockBuy from "./LockBuy";
 import LockSell from "./LockSell";
@@ -7,10 +8,22 @@ import Unlock from "./Unlock";
 import Retrieve from "./Retrieve";
 import Decline from "./Decline";
 import SecretGenerator from "./SecretGenerator";
+import { decodeOffer } from "@/lib/offer";
+
+// `offer` is the encoded payload of an offer link; it opens the Sell tab
+// prefilled
+const SwapTabs = ({ offer: encodedOffer }) => {
+  const { offer, offerError } = useMemo(() => {
+    if (!encodedOffer) return { offer: null, offerError: null };
+    try {
+      return { offer: decodeOffer(encodedOffer), offerError: null };
+    } catch (error) {
+      return { offer: null, offerError: error.message };
+    }
+  }, [encodedOffer]);
 
-const SwapTabs = () => {
   return (
-    <Tabs defaultValue="lockBuy" className="w-full max-w-lg mx-auto">
+    <Tabs defaultValue={encodedOffer ? "lockSell" : "lockBuy"} className="w-full max-w-lg mx-auto">
       <TabsList className="grid grid-cols-3 w-full">
         <TabsTrigger value="lockBuy">Buy</TabsTrigger>
         <TabsTrigger value="lockSell">Sell</TabsTrigger>
@@ -23,7 +36,7 @@ const SwapTabs = () => {
         <LockBuy />
       </TabsContent>
       <TabsContent value="lockSell">
-        <LockSell />
+        <LockSell offer={offer} offerError={offerError} />
       </TabsContent>
       {/* <TabsContent value="unlock">
         <Unlock />
@@ -0,0 +1,211 @@
+import { useState, useEffect, useRef } from 'react';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { useBlockchain } from '@/lib/blockchain-context';
+import {
+  DURATION_UNITS,
+  durationToExpiry,
+  dateTimeToExpiry,
+  expiryToDateTime,
+  evaluateExpiry,
+  formatExpiry,
+  formatDuration
+} from '@/lib/timeout';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('TimeoutInput');
+
+// Shows when an absolute expiry falls and warns if it is unusable
+export const ExpiryHint = ({ expiry, chainTime, pastMessage, tooSoonMessage }) => {
+  if (!expiry || !chainTime) return null;
+
+  const { status, remaining } = evaluateExpiry(expiry, chainTime);
+
+  if (status === 'invalid') {
+    return <p className="text-xs text-red-500">Enter a valid timeout</p>;
+  }
+
+  return (
+    <div className="space-y-1">
+      <p className="text-xs text-gray-500">
+        Expires at {formatExpiry(expiry)} (timestamp {expiry}
+        {remaining > 0 ? `, in ${formatDuration(remaining)}` : `, ${formatDuration(remaining)} ago`})
+      </p>
+      {status === 'past' && (
+        <p className="text-xs text-red-500 font-semibold">
+          {pastMessage || "This time is already in the past according to the latest block."}
+        </p>
+      )}
+      {status === 'too-soon' && (
+        <p className="text-xs text-yellow-600 font-semibold">
+          {tooSoonMessage || "This leaves very little time to complete the swap."}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Input changes only fetch a block once typing pauses; the interval keeps
+// expiry hints current while a form stays open
+const CHAIN_TIME_DEBOUNCE_MS = 400;
+const CHAIN_TIME_REFRESH_MS = 15000;
+
+// Latest block time in seconds, fetched shortly after `refreshKey` changes
+// and, with `refreshInterval`, every that many milliseconds
+const useBlockTime = (refreshKey, refreshInterval) => {
+  const [chainTime, setChainTime] = useState(null);
+  const { getChainTime } = useBlockchain();
+  const getChainTimeRef = useRef(getChainTime);
+  getChainTimeRef.current = getChainTime;
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchChainTime = () => {
+      getChainTimeRef.current()
+        .then(time => {
+          if (!cancelled) setChainTime(time);
+        })
+        .catch(error => {
+          logger.error("Error fetching latest block time:", error);
+        });
+    };
+
+    const debounce = setTimeout(fetchChainTime, CHAIN_TIME_DEBOUNCE_MS);
+    const refresh = refreshInterval ? setInterval(fetchChainTime, refreshInterval) : null;
+    return () => {
+      cancelled = true;
+      clearTimeout(debounce);
+      if (refresh) clearInterval(refresh);
+    };
+  }, [refreshKey, refreshInterval]);
+
+  return chainTime;
+};
+
+// Latest block time in seconds, refreshed shortly after `refreshKey` changes
+// and every CHAIN_TIME_REFRESH_MS
+export const useChainTime = (refreshKey) => useBlockTime(refreshKey, CHAIN_TIME_REFRESH_MS);
+
+// Timeout picker for new locks. Accepts a duration from now or a date/time
+// and reports the resulting absolute expiry (Unix seconds) via onChange.
+// With `maxExpiry` set, later expiries are flagged with `maxExpiryMessage`
+// and the latest allowed time is offered instead. `initialExpiry` starts the
+// picker on that date/time.
+const TimeoutInput = ({
+  id = "timeout",
+  label = "Timeout",
+  defaultAmount = 1,
+  defaultUnit = "hours",
+  maxExpiry = null,
+  maxExpiryMessage,
+  initialExpiry = null,
+  onChange
+}) => {
+  const [mode, setMode] = useState(initialExpiry ? 'dateTime' : 'duration');
+  const [amount, setAmount] = useState(String(defaultAmount));
+  const [unit, setUnit] = useState(defaultUnit);
+  const [dateTime, setDateTime] = useState(initialExpiry ? expiryToDateTime(initialExpiry) : '');
+
+  // A duration counts from the block time read when it was entered. Only
+  // edits move the expiry: anything built on it, such as a lock ID or a
+  // derived secret, stays valid while the form is open. The hints follow
+  // the refreshed chain time, so they show the time actually left.
+  const durationStart = useBlockTime(`${mode}:${amount}:${unit}`, null);
+  const chainTime = useChainTime(`${mode}:${amount}:${unit}:${dateTime}`);
+
+  const expiry = mode === 'duration'
+    ? (durationStart === null ? null : durationToExpiry(amount, unit, durationStart))
+    : dateTimeToExpiry(dateTime);
+
+  useEffect(() => {
+    onChange(expiry);
+  }, [expiry, onChange]);
+
+  const suggestion = maxExpiry === null ? null : expiryToDateTime(maxExpiry);
+  const exceedsMax = maxExpiry !== null && expiry !== null && expiry > maxExpiry;
+
+  const applySuggestion = () => {
+    setMode('dateTime');
+    setDateTime(suggestion);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <Label htmlFor={id}>{label}</Label>
+        <div className="flex items-center space-x-3 text-xs">
+          <label className="flex items-center space-x-1">
+            <input
+              type="radio"
+              name={`${id}-mode`}
+              checked={mode === 'duration'}
+              onChange={() => setMode('duration')}
+            />
+            <span>Duration</span>
+          </label>
+          <label className="flex items-center space-x-1">
+            <input
+              type="radio"
+              name={`${id}-mode`}
+              checked={mode === 'dateTime'}
+              onChange={() => setMode('dateTime')}
+            />
+            <span>Date &amp; time</span>
+          </label>
+        </div>
+      </div>
+
+      {mode === 'duration' ? (
+        <div className="flex space-x-2">
+          <Input
+            id={id}
+            type="number"
+            min="1"
+            step="any"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            required
+          />
+          <select
+            aria-label="Duration unit"
+            className="h-10 rounded-md border border-input bg-background px-2 text-sm"
+            value={unit}
+            onChange={(e) => setUnit(e.target.value)}
+          >
+            {Object.keys(DURATION_UNITS).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+      ) : (
+        <Input
+          id={id}
+          type="datetime-local"
+          value={dateTime}
+          onChange={(e) => setDateTime(e.target.value)}
+          required
+        />
+      )}
+
+      <ExpiryHint expiry={expiry} chainTime={chainTime} />
+
+      {exceedsMax && (
+        <div className="space-y-1">
+          <p className="text-xs text-red-500 font-semibold">
+            {maxExpiryMessage || `The timeout must be at or before ${formatExpiry(maxExpiry)}.`}
+          </p>
+          {chainTime !== null && maxExpiry > chainTime ? (
+            <Button type="button" variant="outline" size="sm" onClick={applySuggestion}>
+              Use {formatExpiry(dateTimeToExpiry(suggestion))}
+            </Button>
+          ) : (
+            <p className="text-xs text-red-500">No compliant timeout is left.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimeoutInput;
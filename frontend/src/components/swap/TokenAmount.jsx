@@ -0,0 +1,56 @@
+import { useState, useEffect, useRef } from 'react';
+import { ethers } from 'ethers';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { formatTokenAmount } from '@/lib/token-metadata';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('TokenAmount');
+
+// Metadata ({ address, decimals, symbol, name }) of `token`, or null while it
+// loads or when the address is not a readable ERC20 token
+export const useTokenMetadata = (token) => {
+  const { getTokenMetadata, getKnownTokenMetadata, provider, chainId } = useBlockchain();
+  const known = getKnownTokenMetadata(token);
+  const [metadata, setMetadata] = useState(known);
+  const getTokenMetadataRef = useRef(getTokenMetadata);
+  getTokenMetadataRef.current = getTokenMetadata;
+
+  useEffect(() => {
+    // Reads need a provider, from the wallet or the read-only network
+    if (!token || !ethers.isAddress(token) || !provider) {
+      setMetadata(null);
+      return;
+    }
+    let cancelled = false;
+    getTokenMetadataRef.current(token)
+      .then(result => {
+        if (!cancelled) setMetadata(result);
+      })
+      .catch(error => {
+        logger.error("Error loading token metadata:", error);
+        if (!cancelled) setMetadata(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token, provider, chainId]);
+
+  return metadata || known;
+};
+
+// Base-unit `value` of `token` shown in human units with the token symbol
+const TokenAmount = ({ token, value }) => {
+  const metadata = useTokenMetadata(token);
+
+  if (value === undefined || value === null || value === '') return null;
+  if (!metadata) {
+    return <span title="Token decimals unknown">{value.toString()} base units</span>;
+  }
+  return (
+    <span title={`${value.toString()} base units`}>
+      {formatTokenAmount(value, metadata.decimals)} {metadata.symbol}
+    </span>
+  );
+};
+
+export default TokenAmount;
@@ -1,18 +1,29 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { ethers } from 'ethers';
 import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useBlockchain } from '@/lib/blockchain-context';
+import { useSecretVault } from '@/lib/secret-vault-context';
+import { encodeSecret, hashSecretInput } from '@/lib/secret';
+import { ExpiryHint, useChainTime } from './TimeoutInput';
+import LockVerification from './LockVerification';
+import QrScanner from './QrScanner';
+import DeriveSecretButton from './DeriveSecretButton';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import { InfoCircledIcon } from "@radix-ui/react-icons";
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('Unlock');
 
 const Unlock = () => {
-  const [tokenAddress, setTokenAddress] = useState(''); // Default to USDT
+  const [tokenAddress, setTokenAddress] = useState('');
   const [creator, setCreator] = useState('');
   const [secret, setSecret] = useState('');
-  const [timeout, setTimeout] = useState(3600); // 1 hour in seconds
+  const [timeout, setTimeoutValue] = useState(''); // Lock expiry (Unix seconds)
+  const [expectedValue, setExpectedValue] = useState(''); // Agreed amount in human units
+  const [verification, setVerification] = useState(null);
   const [loading, setLoading] = useState(false);
   const [tokenBalance, setTokenBalance] = useState(null);
   const [balanceLoading, setBalanceLoading] = useState(false);
@@ -23,11 +34,43 @@ const Unlock = () => {
   });
   const [lastTransaction, setLastTransaction] = useState(null);
 
+  const chainTime = useChainTime(timeout);
+
   const {
     unlock,
     isConnected,
-    getTokenBalance
+    account,
+    events,
+    getTokenBalance,
+    verifyLockBeforeUnlock
   } = useBlockchain();
+  const { findSecret } = useSecretVault();
+
+  // The indexed lock with these terms, paying the connected account
+  const targetLock = useMemo(() => {
+    if (!account || !tokenAddress || !creator || !timeout) return null;
+    const same = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+    return events.find(event =>
+      (event.type === 'LockBuy' || event.type === 'LockSell') &&
+      same(event.token, tokenAddress) &&
+      same(event.creator, creator) &&
+      same(event.recipient, account) &&
+      Number(event.timeout) === Number(timeout)
+    ) || null;
+  }, [account, tokenAddress, creator, timeout, events]);
+
+  // Secret kept in the vault for that lock
+  const vaultSecret = targetLock ? findSecret(targetLock.hashedSecret) : null;
+
+  // Fill in the vault's secret unless one was typed
+  useEffect(() => {
+    if (vaultSecret) setSecret(current => current || vaultSecret);
+  }, [vaultSecret]);
+
+  // A verification only applies to the terms it checked
+  useEffect(() => {
+    setVerification(null);
+  }, [tokenAddress, creator, secret, timeout, expectedValue]);
 
   // Fetch token balance when tokenAddress changes
   useEffect(() => {
@@ -38,7 +81,7 @@ const Unlock = () => {
           const balance = await getTokenBalance(tokenAddress);
           setTokenBalance(balance);
         } catch (error) {
-          console.error("Error fetching token balance:", error);
+          logger.error("Error fetching token balance:", error);
           setTokenBalance(null);
         } finally {
           setBalanceLoading(false);
@@ -64,10 +107,21 @@ const Unlock = () => {
         setTimeout(() => setCopiedStates(prev => ({ ...prev, [field]: false })), 2000);
       })
       .catch(err => {
-        console.error('Failed to copy: ', err);
+        logger.error('Failed to copy: ', err);
       });
   };
 
+  // Fill the lock's terms from a scanned offer or lock QR code
+  const handleScan = ({ terms }) => {
+    if (!terms) {
+      alert("This QR code only has the lock ID. Please enter the lock's terms by hand.");
+      return;
+    }
+    setTokenAddress(terms.token);
+    setCreator(terms.creator);
+    setTimeoutValue(String(terms.timeout));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -94,21 +148,25 @@ const Unlock = () => {
     try {
       setLoading(true);
       
-      // If the secret is in plain text, convert it to bytes32
-      let secretBytes;
-      if (secret.startsWith('0x') && secret.length === 66) {
-        // Already a bytes32 hex string
-        secretBytes = secret;
-      } else {
-        // Convert string to bytes32
-        secretBytes = ethers.keccak256(ethers.toUtf8Bytes(secret));
+      // Hex secrets are used as-is, passphrases are encoded by the secret module
+      const secretBytes = encodeSecret(secret);
+      
+      // Unlocking reveals the secret, so confirm the lock's terms first
+      const lockCheck = await verifyLockBeforeUnlock({
+        tokenAddress,
+        creator,
+        hashedSecret: hashSecretInput(secret),
+        timeout: Number(timeout),
+        expectedValue
+      });
+      setVerification(lockCheck);
+      if (!lockCheck.ok) {
+        return;
       }
       
-      console.log("Submitting unlock transaction with parameters:", {
+      logger.debug("Submitting unlock transaction with parameters:", {
         tokenAddress,
         creator,
-        secret,
-        secretBytes,
         timeout: Number(timeout)
       });
       
@@ -121,7 +179,7 @@ const Unlock = () => {
       
       setLastTransaction(result);
     } catch (error) {
-      console.error("Error in unlock transaction:", error);
+      logger.error("Error in unlock transaction:", error);
       alert(`Transaction failed: ${error.message}`);
     } finally {
       setLoading(false);
@@ -146,9 +204,13 @@ const Unlock = () => {
       </CardHeader>
       <CardContent>
         <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="flex justify-end">
+            <QrScanner onScan={handleScan} label="Scan lock QR" />
+          </div>
+          
           <div className="space-y-2">
             <div className="flex items-center space-x-2">
-              <Label htmlFor="tokenAddress">Token Address (USDT)</Label>
+              <Label htmlFor="tokenAddress">Token Address</Label>
               <TooltipProvider>
                 <Tooltip>
                   <TooltipTrigger asChild>
@@ -156,7 +218,6 @@ const Unlock = () => {
                   </TooltipTrigger>
                   <TooltipContent className="max-w-xs">
                     The address of the token contract that was used in the lock.
-                    The default is USDT.
                   </TooltipContent>
                 </Tooltip>
               </TooltipProvider>
@@ -184,9 +245,7 @@ const Unlock = () => {
               <p className="text-xs text-gray-500">
                 Balance: {tokenBalance.formatted} {tokenBalance.symbol}
               </p>
-            ) : (
-              <p className="text-xs text-gray-500">(USDT)</p>
-            )}
+            ) : null}
           </div>
           
           <div className="space-y-2">
@@ -259,6 +318,9 @@ const Unlock = () => {
                 </Button>
               )}
             </div>
+            {targetLock && (
+              <DeriveSecretButton hashedSecret={targetLock.hashedSecret} onDerived={setSecret} />
+            )}
             <p className="text-xs text-gray-500">
               Enter the secret provided by the counterparty. This should be a 0x-prefixed hex value or plain text.
               The secret is used to unlock the tokens locked for you.
@@ -267,7 +329,7 @@ const Unlock = () => {
           
           <div className="space-y-2">
             <div className="flex items-center space-x-2">
-              <Label htmlFor="timeout">Timeout (seconds)</Label>
+              <Label htmlFor="timeout">Lock Timeout (Unix timestamp)</Label>
               <TooltipProvider>
                 <Tooltip>
                   <TooltipTrigger asChild>
@@ -283,23 +345,54 @@ const Unlock = () => {
             <Input
               id="timeout"
               type="number"
-              min="60"
+              min="1"
               value={timeout}
-              onChange={(e) => setTimeout(e.target.value)}
+              onChange={(e) => setTimeoutValue(e.target.value)}
               required
             />
             <p className="text-xs text-gray-500">
-              This should match the timeout value from the lock. Small values (e.g., 3600) are treated as duration.
-              Large values are treated as Unix timestamps.
+              This must match the lock's timeout exactly. It is the Unix timestamp shown on the lock event.
             </p>
+            <ExpiryHint
+              expiry={timeout}
+              chainTime={chainTime}
+              pastMessage="This lock has timed out and can no longer be unlocked."
+              tooSoonMessage="This lock times out soon. Unlock it quickly."
+            />
+          </div>
+          
+          <div className="space-y-2">
+            <div className="flex items-center space-x-2">
+              <Label htmlFor="expectedValue">Expected Amount</Label>
+              <TooltipProvider>
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <InfoCircledIcon className="h-4 w-4 text-gray-500" />
+                  </TooltipTrigger>
+                  <TooltipContent className="max-w-xs">
+                    The amount you agreed to receive, in whole tokens.
+                    The unlock is blocked if the lock holds less.
+                  </TooltipContent>
+                </Tooltip>
+              </TooltipProvider>
+            </div>
+            <Input
+              id="expectedValue"
+              inputMode="decimal"
+              placeholder="0.0"
+              value={expectedValue}
+              onChange={(e) => setExpectedValue(e.target.value)}
+            />
           </div>
           
+          <LockVerification verification={verification} />
+          
           <Button 
             type="submit" 
             className="w-full" 
             disabled={loading || !isConnected}
           >
-            {loading ? "Processing..." : "Unlock"}
+            {loading ? "Processing..." : "Verify and Unlock"}
           </Button>
         </form>
 
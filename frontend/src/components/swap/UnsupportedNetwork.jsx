@@ -0,0 +1,37 @@
+"use client";
+
+import { useBlockchain } from '@/lib/blockchain-context';
+import { AlertTriangle } from 'lucide-react';
+
+// Banner shown while the wallet is on a chain without a swap deployment
+const UnsupportedNetwork = () => {
+  const { isConnected, isSupportedNetwork, chainId, supportedNetworks } = useBlockchain();
+
+  if (!isConnected || isSupportedNetwork) return null;
+
+  return (
+    <div className="p-4 rounded-md border border-red-200 bg-red-50 mb-8">
+      <div className="flex items-center mb-2">
+        <AlertTriangle className="h-5 w-5 text-red-500 mr-2" />
+        <h2 className="font-semibold text-red-700">Unsupported network</h2>
+      </div>
+      <p className="text-sm text-red-700">
+        The swap contract is not deployed on chain {chainId?.toString()}.
+        {supportedNetworks.length > 0
+          ? " Switch your wallet to one of these networks:"
+          : " No networks are configured yet."}
+      </p>
+      {supportedNetworks.length > 0 && (
+        <ul className="mt-2 text-sm text-red-700 list-disc list-inside">
+          {supportedNetworks.map(network => (
+            <li key={network.chainId}>
+              {network.name} (chain {network.chainId})
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UnsupportedNetwork;
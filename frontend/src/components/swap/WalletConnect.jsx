@@ -3,6 +3,10 @@
 import { useBlockchain } from '@/lib/blockchain-context';
 import { Button } from '@/components/ui/button';
 import { useState, useEffect } from 'react';
+import WalletPicker, { WalletIcon } from './WalletPicker';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('WalletConnect');
 
 const WalletConnect = () => {
   const { 
@@ -10,107 +14,46 @@ const WalletConnect = () => {
     account, 
     connectWallet, 
     disconnectWallet, 
-    chainId,
-    getCurrentNetwork
+    network,
+    isSupportedNetwork,
+    isReadOnly,
+    provider,
+    wallets,
+    wallet
   } = useBlockchain();
 
   const [networkName, setNetworkName] = useState(null);
-  const [lastRefresh, setLastRefresh] = useState(Date.now());
-  const [debugInfo, setDebugInfo] = useState({
-    hasEthereum: false,
-    ethereumKeys: [],
-    hasWallet: false
-  });
+  const [showPicker, setShowPicker] = useState(false);
 
-  // Debug check for ethereum object
   useEffect(() => {
-    const checkEthereumObject = () => {
-      try {
-        const hasEthereum = typeof window !== 'undefined' && window.ethereum !== undefined;
-        let ethereumKeys = [];
-        let hasWallet = false;
-        
-        if (hasEthereum) {
-          ethereumKeys = Object.keys(window.ethereum);
-          hasWallet = typeof window.ethereum.request === 'function';
-        }
-        
-        setDebugInfo({
-          hasEthereum,
-          ethereumKeys,
-          hasWallet
-        });
-        
-        console.log("Ethereum debug info:", {
-          hasEthereum, 
-          ethereumKeys, 
-          hasWallet
-        });
-      } catch (error) {
-        console.error("Error checking ethereum object:", error);
-      }
-    };
-    
-    checkEthereumObject();
-    const intervalId = setInterval(checkEthereumObject, 2000);
-    
-    return () => clearInterval(intervalId);
-  }, []);
-
-  useEffect(() => {
-    // Refresh network info whenever connection state or chainId changes
-    if (isConnected) {
-      getCurrentNetwork().then(network => {
-        if (network) {
-          setNetworkName(network.name);
-        }
-      });
-    }
-  }, [isConnected, chainId, getCurrentNetwork]);
-
-  // Additional polling for sandboxed environments
-  useEffect(() => {
-    if (!isConnected) return;
-    
-    // Set up a refresh interval that runs more frequently in sandboxed environments
-    const refreshInterval = setInterval(() => {
-      // Only refresh if it's been more than 3 seconds since last refresh
-      if (Date.now() - lastRefresh > 3000) {
-        getCurrentNetwork().then(network => {
-          if (network) {
-            setNetworkName(network.name);
-          }
-          setLastRefresh(Date.now());
-        });
-      }
-    }, 2000);
-    
-    return () => clearInterval(refreshInterval);
-  }, [isConnected, getCurrentNetwork, lastRefresh]);
+    // The session rebuilds the provider whenever the account or chain changes
+    if (!isConnected || !provider) return;
+    provider.getNetwork()
+      .then(network => setNetworkName(network.name))
+      .catch(error => logger.error("Error getting network info:", error));
+  }, [isConnected, provider]);
 
   const formatAddress = (address) => {
     if (!address) return '';
     return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
   };
 
-  // Manual connect attempt function
-  const attemptManualConnect = async () => {
-    console.log("Attempting manual wallet connection...");
+  // Connect straight away when there is only one wallet to choose from
+  const handleConnectClick = () => {
+    logger.debug("Connect wallet button clicked");
+    if (wallets.length === 1) {
+      connectWallet(wallets[0]);
+    } else {
+      setShowPicker(true);
+    }
+  };
+
+  const handleWalletSelected = (selected) => {
+    setShowPicker(false);
     try {
-      if (window.ethereum) {
-        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-        console.log("Manual connection attempt returned accounts:", accounts);
-        
-        // Force context to reconnect
-        if (accounts && accounts.length > 0) {
-          console.log("Manually connected to account:", accounts[0]);
-          connectWallet();
-        }
-      } else {
-        console.error("No ethereum object found for manual connection");
-      }
+      connectWallet(selected);
     } catch (error) {
-      console.error("Manual connection failed:", error);
+      logger.error("Error in connectWallet click handler:", error);
     }
   };
 
@@ -120,9 +63,11 @@ const WalletConnect = () => {
         {isConnected ? (
           <>
             <div className="flex items-center space-x-1">
-              <div className={`w-3 h-3 rounded-full bg-green-500`}></div>
+              <div className={`w-3 h-3 rounded-full ${isSupportedNetwork ? 'bg-green-500' : 'bg-red-500'}`}></div>
               <span className="text-xs">
-                {networkName || 'Connected'}
+                {isSupportedNetwork
+                  ? (network?.name || networkName || 'Connected')
+                  : 'Unsupported network'}
               </span>
             </div>
             
@@ -131,17 +76,19 @@ const WalletConnect = () => {
                 variant="outline" 
                 size="sm"
                 className="px-3 py-2 h-auto"
+                title={wallet ? wallet.info.name : undefined}
               >
+                {wallet && <WalletIcon wallet={wallet} className="h-4 w-4 mr-2" />}
                 {formatAddress(account)}
               </Button>
               
               <Button
                 onClick={() => {
-                  console.log("Disconnect wallet button clicked");
+                  logger.debug("Disconnect wallet button clicked");
                   try {
                     disconnectWallet();
                   } catch (error) {
-                    console.error("Error in disconnectWallet click handler:", error);
+                    logger.error("Error in disconnectWallet click handler:", error);
                   }
                 }}
                 variant="destructive"
@@ -155,40 +102,30 @@ const WalletConnect = () => {
         ) : (
           <>
             <Button
-              onClick={() => {
-                console.log("Connect wallet button clicked");
-                try {
-                  connectWallet();
-                } catch (error) {
-                  console.error("Error in connectWallet click handler:", error);
-                }
-              }}
+              onClick={handleConnectClick}
               className="px-3 py-2 h-auto"
             >
               Connect Wallet
             </Button>
             
-            <Button
-              onClick={attemptManualConnect}
-              variant="outline"
-              className="px-3 py-2 h-auto"
-            >
-              Try Alternative Connect
-            </Button>
+            {wallets.length > 1 && (
+              <span className="text-xs text-gray-500">{wallets.length} wallets found</span>
+            )}
+            
+            {isReadOnly && (
+              <span className="text-xs text-gray-500">Browsing {network?.name} read-only</span>
+            )}
           </>
         )}
       </div>
       
-      {/* Debug section - only show in dev or when there are connection issues */}
-      <div className="text-xs text-gray-500 mt-1">
-        <div>Ethereum available: {debugInfo.hasEthereum ? "✅" : "❌"}</div>
-        {debugInfo.hasEthereum && (
-          <>
-            <div>Wallet available: {debugInfo.hasWallet ? "✅" : "❌"}</div>
-            <div>Provider methods: {debugInfo.ethereumKeys.slice(0, 3).join(', ')}...</div>
-          </>
-        )}
-      </div>
+      {showPicker && (
+        <WalletPicker
+          wallets={wallets}
+          onSelect={handleWalletSelected}
+          onClose={() => setShowPicker(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,50 @@
+import Image from 'next/image';
+import { Button } from '@/components/ui/button';
+import { Wallet } from 'lucide-react';
+
+// Icon a wallet announced through EIP-6963 (a data URI), or a generic one
+export const WalletIcon = ({ wallet, className = "h-6 w-6" }) => {
+  if (wallet?.info.icon) {
+    return <Image src={wallet.info.icon} alt="" width={32} height={32} className={className} unoptimized />;
+  }
+  return <Wallet className={className} />;
+};
+
+// Dialog listing every discovered wallet; `onSelect` receives the chosen one
+const WalletPicker = ({ wallets, onSelect, onClose }) => {
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white p-5 rounded-lg max-w-sm w-full">
+        <h3 className="text-lg font-bold mb-4">Connect a Wallet</h3>
+        
+        {wallets.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-4">
+            No wallet found. Install MetaMask or another Ethereum wallet and reload the page.
+          </p>
+        ) : (
+          <div className="space-y-2 mb-4">
+            {wallets.map(wallet => (
+              <button
+                key={wallet.info.uuid}
+                type="button"
+                className="w-full flex items-center p-3 border rounded-md hover:bg-gray-50 text-left"
+                onClick={() => onSelect(wallet)}
+              >
+                <WalletIcon wallet={wallet} className="h-8 w-8 mr-3" />
+                <span className="font-medium">{wallet.info.name}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        
+        <div className="flex justify-end">
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WalletPicker;
@@ -0,0 +1,95 @@
+import { ethers } from 'ethers';
+import { parseTokenAmount, formatTokenAmount } from './token-metadata.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('allowances');
+
+// How much to approve the swap contract for when locking a token, and the
+// per-token preference for it, stored in the browser.
+//
+//   exact      the lock value, nothing left over
+//   custom     a fixed amount, which must cover the lock value
+//   unlimited  the maximum, so later locks need no approval
+
+export const APPROVAL_MODES = {
+  EXACT: 'exact',
+  CUSTOM: 'custom',
+  UNLIMITED: 'unlimited'
+};
+
+export const APPROVAL_MODE_LABELS = {
+  [APPROVAL_MODES.EXACT]: 'Exact',
+  [APPROVAL_MODES.CUSTOM]: 'Custom',
+  [APPROVAL_MODES.UNLIMITED]: 'Unlimited'
+};
+
+export const DEFAULT_APPROVAL = { mode: APPROVAL_MODES.EXACT, amount: '' };
+
+const STORAGE_KEY = 'p2pswap:allowance-preferences';
+
+const getKey = (chainId, token) => `${chainId.toString()}:${token.toLowerCase()}`;
+
+const readPreferences = () => {
+  if (typeof localStorage === 'undefined') return {};
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (error) {
+    logger.warn("Ignoring unreadable allowance preferences:", error);
+    return {};
+  }
+};
+
+// Saved { mode, amount } for `token`, or the exact default
+export const getAllowancePreference = (chainId, token) => {
+  if (chainId === null || chainId === undefined || !ethers.isAddress(token)) return DEFAULT_APPROVAL;
+  const preference = readPreferences()[getKey(chainId, token)];
+  if (!preference || !Object.values(APPROVAL_MODES).includes(preference.mode)) return DEFAULT_APPROVAL;
+  return { mode: preference.mode, amount: preference.amount || '' };
+};
+
+export const setAllowancePreference = (chainId, token, { mode, amount = '' }) => {
+  if (typeof localStorage === 'undefined') return;
+  const preferences = readPreferences();
+  preferences[getKey(chainId, token)] = { mode, amount: mode === APPROVAL_MODES.CUSTOM ? amount : '' };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+};
+
+// Base units to approve for a lock of `value` base units. Throws when a
+// custom amount doesn't cover the lock.
+export const resolveApprovalAmount = ({ mode, amount }, value, decimals) => {
+  const lockValue = BigInt(value);
+  switch (mode) {
+    case APPROVAL_MODES.UNLIMITED:
+      return ethers.MaxUint256;
+    case APPROVAL_MODES.CUSTOM: {
+      const custom = parseTokenAmount(amount, decimals, "custom allowance");
+      if (custom < lockValue) {
+        throw new Error(
+          `The custom allowance of ${formatTokenAmount(custom, decimals)} is less than ` +
+          `the lock value of ${formatTokenAmount(lockValue, decimals)}`
+        );
+      }
+      return custom;
+    }
+    default:
+      return lockValue;
+  }
+};
+
+// Allowances this large are treated as unlimited; some tokens count an
+// unlimited allowance down as it is spent
+export const isUnlimitedAllowance = (allowance) => BigInt(allowance) >= ethers.MaxUint256 / 2n;
+
+// Tokens of every lock `account` created or received, checksummed and
+// without duplicates
+export const getTradedTokens = (events, account) => {
+  if (!account) return [];
+  const owner = account.toLowerCase();
+  const tokens = new Map();
+  events.forEach(event => {
+    if (event.type !== 'LockBuy' && event.type !== 'LockSell') return;
+    if (event.creator?.toLowerCase() !== owner && event.recipient?.toLowerCase() !== owner) return;
+    tokens.set(event.token.toLowerCase(), ethers.getAddress(event.token));
+  });
+  return [...tokens.values()];
+};
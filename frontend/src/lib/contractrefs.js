@@ -1,10 +1,47 @@
-// Import ABI and address from contract files
+// Import ABI and deployments from contract files
 import AtomicSwapERC20Abi from '../../contracts/AtomicSwapERC20-abi.json';
 import AtomicSwapERC20Address from '../../contracts/AtomicSwapERC20-address.json';
+import networkEntries from '../../contracts/networks.json';
+import { createNetworkRegistry } from './networks.js';
 
-// Export the contract ABI and address
+// Export the contract ABI
 export const swapAbi = AtomicSwapERC20Abi;
-export const swapAddress = AtomicSwapERC20Address.address;
+
+// The single address file predates the registry. It joins the registry under
+// its own chainId, or NEXT_PUBLIC_SWAP_CHAIN_ID when the file has none.
+const legacyChainId = AtomicSwapERC20Address.chainId || process.env.NEXT_PUBLIC_SWAP_CHAIN_ID;
+const legacyEntry = legacyChainId
+  ? {
+      [legacyChainId]: {
+        ...AtomicSwapERC20Address,
+        deploymentBlock: Number(
+          process.env.NEXT_PUBLIC_SWAP_DEPLOYMENT_BLOCK || AtomicSwapERC20Address.deploymentBlock || 0
+        )
+      }
+    }
+  : {};
+
+// Swap deployments keyed by chain ID; networks.json wins over the address file
+export const swapNetworks = createNetworkRegistry({ ...legacyEntry, ...networkEntries });
+
+// Network browsed without a wallet, with its JSON-RPC URL. The entry is
+// NEXT_PUBLIC_READ_CHAIN_ID's, else the first with an rpcUrl, else the only
+// one; NEXT_PUBLIC_READ_RPC_URL overrides its rpcUrl. Null when no URL is
+// configured.
+const readOnlyEntry = swapNetworks.get(process.env.NEXT_PUBLIC_READ_CHAIN_ID)
+  || swapNetworks.list().find(entry => entry.rpcUrl)
+  || (swapNetworks.list().length === 1 ? swapNetworks.list()[0] : null);
+const readOnlyRpcUrl = process.env.NEXT_PUBLIC_READ_RPC_URL || readOnlyEntry?.rpcUrl;
+export const readOnlyNetwork = readOnlyEntry && readOnlyRpcUrl
+  ? { ...readOnlyEntry, rpcUrl: readOnlyRpcUrl }
+  : null;
+
+// Minimum gap between a LockSell's timeout and the timeout of the LockBuy it
+// answers, in seconds
+export const lockSafetyMargin = Number(process.env.NEXT_PUBLIC_LOCK_SAFETY_MARGIN_MINUTES || 60) * 60;
+
+// How many blocks to query per request when indexing events
+export const eventChunkSize = Number(process.env.NEXT_PUBLIC_EVENT_CHUNK_SIZE || 5000);
 
 // ERC20 ABI for interacting with ERC20 tokens
 export const erc20Abi = [
@@ -0,0 +1,183 @@
+// Persistent index of swap events, kept in IndexedDB per chain and contract.
+// Each scope records the last block it has indexed so later syncs only fetch
+// new blocks. Outside the browser an in-memory store is used instead.
+
+const DB_NAME = 'p2pswap-events';
+const DB_VERSION = 1;
+const EVENTS_STORE = 'events';
+const CURSORS_STORE = 'cursors';
+
+export const DEFAULT_CHUNK_SIZE = 5000;
+
+const getScope = (chainId, address) => `${chainId.toString()}:${address.toLowerCase()}`;
+
+const getEventKey = (scope, event) => {
+  return `${scope}:${event.transactionHash}:${event.logIndex}`;
+};
+
+// Wrap an IDBRequest in a promise
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(EVENTS_STORE)) {
+          const events = db.createObjectStore(EVENTS_STORE, { keyPath: 'key' });
+          events.createIndex('scope', 'scope');
+        }
+        if (!db.objectStoreNames.contains(CURSORS_STORE)) {
+          db.createObjectStore(CURSORS_STORE, { keyPath: 'scope' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const createIndexedDbStore = (scope) => ({
+  async getLastIndexedBlock() {
+    const db = await openDatabase();
+    const cursor = await requestToPromise(
+      db.transaction(CURSORS_STORE).objectStore(CURSORS_STORE).get(scope)
+    );
+    return cursor ? cursor.lastBlock : null;
+  },
+
+  // Store events and advance the cursor in one transaction, so a partially
+  // written chunk is never marked as indexed
+  async putEvents(events, lastBlock) {
+    const db = await openDatabase();
+    const tx = db.transaction([EVENTS_STORE, CURSORS_STORE], 'readwrite');
+    const eventsStore = tx.objectStore(EVENTS_STORE);
+    events.forEach(event => {
+      eventsStore.put({ ...event, scope, key: getEventKey(scope, event) });
+    });
+    tx.objectStore(CURSORS_STORE).put({ scope, lastBlock });
+    await transactionDone(tx);
+  },
+
+  async getEvents() {
+    const db = await openDatabase();
+    const index = db.transaction(EVENTS_STORE).objectStore(EVENTS_STORE).index('scope');
+    const stored = await requestToPromise(index.getAll(scope));
+    // Drop the storage-only fields
+    return stored.map(({ key, scope: eventScope, ...event }) => event);
+  },
+
+  async clear() {
+    const db = await openDatabase();
+    const tx = db.transaction([EVENTS_STORE, CURSORS_STORE], 'readwrite');
+    const index = tx.objectStore(EVENTS_STORE).index('scope');
+    const keys = await requestToPromise(index.getAllKeys(scope));
+    keys.forEach(key => tx.objectStore(EVENTS_STORE).delete(key));
+    tx.objectStore(CURSORS_STORE).delete(scope);
+    await transactionDone(tx);
+  }
+});
+
+const createMemoryStore = (scope) => {
+  const events = new Map();
+  let lastIndexedBlock = null;
+  return {
+    async getLastIndexedBlock() {
+      return lastIndexedBlock;
+    },
+    async putEvents(newEvents, lastBlock) {
+      newEvents.forEach(event => events.set(getEventKey(scope, event), event));
+      lastIndexedBlock = lastBlock;
+    },
+    async getEvents() {
+      return [...events.values()];
+    },
+    async clear() {
+      events.clear();
+      lastIndexedBlock = null;
+    }
+  };
+};
+
+export const createEventStore = ({ chainId, address }) => {
+  const scope = getScope(chainId, address);
+  if (typeof indexedDB === 'undefined') {
+    return createMemoryStore(scope);
+  }
+  return createIndexedDbStore(scope);
+};
+
+// Newest first, with block order breaking timestamp ties
+const compareEvents = (a, b) => {
+  return (
+    (b.timestamp - a.timestamp) ||
+    ((b.blockNumber ?? 0) - (a.blockNumber ?? 0)) ||
+    ((b.logIndex ?? 0) - (a.logIndex ?? 0))
+  );
+};
+
+// Combine indexed events with ones the live listener received meanwhile.
+// Events match by transaction hash and log index; the indexed copy wins
+// since it carries the block's timestamp. A lock ID can be reused once its
+// lock is resolved, so type and lock ID only match live events that arrived
+// without a transaction hash.
+const getLogKey = (event) => `${event.transactionHash}:${event.logIndex}`;
+const getLockKey = (event) => `${event.type}:${event.lockId.toLowerCase()}`;
+
+export const mergeEvents = (indexedEvents, liveEvents) => {
+  const merged = new Map(indexedEvents.map(event => [getLogKey(event), event]));
+  const indexedLocks = new Set(indexedEvents.map(getLockKey));
+  liveEvents.forEach(event => {
+    if (event.transactionHash) {
+      if (!merged.has(getLogKey(event))) merged.set(getLogKey(event), event);
+    } else if (!indexedLocks.has(getLockKey(event))) {
+      merged.set(getLockKey(event), event);
+    }
+  });
+  return [...merged.values()].sort(compareEvents);
+};
+
+// Bring the store up to the latest block and return every stored event.
+// Indexing resumes after the last indexed block, or starts at
+// `deploymentBlock`, and fetches `chunkSize` blocks at a time.
+// `onProgress` receives { fromBlock, toBlock, latestBlock } after each chunk.
+export const syncEvents = async ({
+  client,
+  store,
+  deploymentBlock = 0,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  onProgress
+}) => {
+  const latestBlock = await client.provider.getBlockNumber();
+  const lastIndexedBlock = await store.getLastIndexedBlock();
+  let fromBlock = lastIndexedBlock === null
+    ? Number(deploymentBlock)
+    : Math.max(lastIndexedBlock + 1, Number(deploymentBlock));
+
+  while (fromBlock <= latestBlock) {
+    const toBlock = Math.min(fromBlock + chunkSize - 1, latestBlock);
+    const events = await client.fetchEvents({ fromBlock, toBlock });
+    await store.putEvents(events, toBlock);
+    if (onProgress) onProgress({ fromBlock, toBlock, latestBlock });
+    fromBlock = toBlock + 1;
+  }
+
+  const allEvents = await store.getEvents();
+  return allEvents.sort(compareEvents);
+};
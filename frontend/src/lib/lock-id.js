@@ -0,0 +1,35 @@
+import { ethers } from 'ethers';
+
+// Lock IDs as computed by AtomicSwapERC20:
+//   keccak256(abi.encode(token, creator, recipient, hashedSecret, timeout))
+
+const LOCK_ID_TYPES = ["address", "address", "address", "bytes32", "uint256"];
+
+export const computeLockId = ({ token, creator, recipient, hashedSecret, timeout }) => {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      LOCK_ID_TYPES,
+      [token, creator, recipient, hashedSecret, BigInt(Math.floor(Number(timeout)))]
+    )
+  );
+};
+
+// Lock ID for a formatted LockBuy or LockSell event. LockSell events do not
+// emit their lockId, so this is the only way to reference them.
+export const lockIdFromEvent = (event) => {
+  if (!event || !event.hashedSecret) return null;
+  return computeLockId(event);
+};
+
+// Check that the emitted lockId of a LockBuy event matches the one computed
+// from its terms.
+export const lockIdMatchesEvent = (event) => {
+  if (!event || !event.lockId) return false;
+  return lockIdFromEvent(event)?.toLowerCase() === event.lockId.toLowerCase();
+};
+
+// Lock ID of any lock event: the emitted one when present, otherwise computed.
+export const getEventLockId = (event) => {
+  if (!event) return null;
+  return event.lockId || lockIdFromEvent(event);
+};
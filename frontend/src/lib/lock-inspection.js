@@ -0,0 +1,113 @@
+import { ethers } from 'ethers';
+import { computeLockId } from './lock-id.js';
+import { findLockEvent } from './lock-verification.js';
+import { getLockState } from './swap-lifecycle.js';
+import { formatExpiry } from './timeout.js';
+
+// Everything known about one lock: its value on chain, the LockBuy or
+// LockSell that created it, the event that resolved it and which actions an
+// account may take right now. The action rules mirror AtomicSwapERC20:
+//
+//   unlock   recipient, before the timeout
+//   decline  recipient, at any time
+//   retrieve creator, once the timeout has passed
+//
+// and all of them need funds in the lock.
+
+export const LOCK_ACTIONS = {
+  UNLOCK: 'unlock',
+  DECLINE: 'decline',
+  RETRIEVE: 'retrieve'
+};
+
+export const LOCK_ACTION_LABELS = {
+  [LOCK_ACTIONS.UNLOCK]: 'Unlock',
+  [LOCK_ACTIONS.DECLINE]: 'Decline',
+  [LOCK_ACTIONS.RETRIEVE]: 'Retrieve'
+};
+
+const RESOLUTION_TYPES = ['Unlock', 'Decline', 'Retrieve'];
+
+const sameHex = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+// Unlock, Decline or Retrieve event of `lockId`, or undefined
+export const findResolutionEvent = (events, lockId) => events.find(event =>
+  RESOLUTION_TYPES.includes(event.type) && sameHex(event.lockId, lockId)
+);
+
+// Lock terms ({ token, creator, recipient, hashedSecret, timeout }) from
+// loose input such as URL parameters. Null unless every term is valid.
+export const parseLockTerms = ({ token, creator, recipient, hashedSecret, timeout }) => {
+  if (![token, creator, recipient].every(address => address && ethers.isAddress(address))) return null;
+  if (!ethers.isHexString(hashedSecret, 32)) return null;
+  if (!/^\d+$/.test(String(timeout || '').trim())) return null;
+  return {
+    token: ethers.getAddress(token),
+    creator: ethers.getAddress(creator),
+    recipient: ethers.getAddress(recipient),
+    hashedSecret,
+    timeout: Number(timeout)
+  };
+};
+
+// Whether `account` may take each action, with the reason when it can't
+const getLockActions = (terms, lockValue, account, now) => {
+  const isRecipient = sameHex(account, terms?.recipient);
+  const isCreator = sameHex(account, terms?.creator);
+  const timedOut = terms ? now >= terms.timeout : false;
+
+  const blocker = (role, roleOk) => {
+    if (lockValue === 0n) return "Nothing is locked";
+    if (!terms) return "The lock's terms are unknown";
+    if (!account) return "Connect your wallet";
+    if (!roleOk) return `Only the ${role} can do this`;
+    return null;
+  };
+
+  const unlock = blocker('recipient', isRecipient) || (timedOut ? "The lock has timed out" : null);
+  const decline = blocker('recipient', isRecipient);
+  const retrieve = blocker('creator', isCreator) ||
+    (timedOut ? null : `Possible from ${formatExpiry(terms.timeout)}`);
+
+  return [
+    { action: LOCK_ACTIONS.UNLOCK, allowed: !unlock, reason: unlock },
+    { action: LOCK_ACTIONS.DECLINE, allowed: !decline, reason: decline },
+    { action: LOCK_ACTIONS.RETRIEVE, allowed: !retrieve, reason: retrieve }
+  ];
+};
+
+// Inspect `lockId` at chain time `now`. `lockValue` is its on-chain value in
+// base units. The terms come from the indexed lock event, else from `terms`
+// when they hash to `lockId`.
+export const inspectLock = ({ lockId, lockValue, events, account, now, terms }) => {
+  const value = BigInt(lockValue);
+  const lockEvent = findLockEvent(events, lockId) || null;
+  const resolution = findResolutionEvent(events, lockId) || null;
+  const givenTerms = terms && computeLockId(terms).toLowerCase() === lockId.toLowerCase() ? terms : null;
+  const lockTerms = lockEvent || givenTerms;
+
+  // An empty lock without a resolution event was never created, or was
+  // resolved after the last sync; its state is unknown
+  const state = lockTerms && (resolution || value !== 0n)
+    ? getLockState({ timeout: Number(lockTerms.timeout), resolution }, now)
+    : null;
+
+  return {
+    lockId,
+    lockValue: value,
+    lockEvent,
+    resolution,
+    terms: lockTerms
+      ? {
+          token: lockTerms.token,
+          creator: lockTerms.creator,
+          recipient: lockTerms.recipient,
+          hashedSecret: lockTerms.hashedSecret,
+          timeout: Number(lockTerms.timeout)
+        }
+      : null,
+    state,
+    remaining: lockTerms ? Number(lockTerms.timeout) - now : null,
+    actions: getLockActions(lockTerms, value, account, now)
+  };
+};
@@ -0,0 +1,107 @@
+import { getEventLockId } from './lock-id.js';
+import { DEFAULT_SAFETY_MARGIN, latestSellExpiry, formatExpiry, formatDuration } from './timeout.js';
+import { formatTokenAmount } from './token-metadata.js';
+
+// Checks a lock before the current account unlocks it.
+//
+// Unlocking a LockSell reveals the buyer's secret, after which the seller can
+// take the buyer's LockBuy. Before that happens the buyer must be sure the
+// seller's lock holds what was agreed and outlives nothing it shouldn't:
+// it must exist on chain, pay the buyer, use the buyer's hashedSecret, hold
+// the expected token and amount, and expire a safe margin before the
+// buyer's own lock.
+
+const sameAddress = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+const sameId = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+const shortId = (id) => `${id.substring(0, 10)}...`;
+
+// LockBuy or LockSell event that created `lockId`, or undefined
+export const findLockEvent = (events, lockId) => events.find(event =>
+  (event.type === 'LockBuy' || event.type === 'LockSell') && sameId(getEventLockId(event), lockId)
+);
+
+// Safety-margin policy for a new LockSell answering `buyEvent`: its timeout
+// must end at least `margin` seconds before the buy lock's. Returns an error
+// message, or null when `sellTimeout` complies.
+export const checkSellTimeout = (sellTimeout, buyEvent, margin = DEFAULT_SAFETY_MARGIN) => {
+  const latest = latestSellExpiry(buyEvent.timeout, margin);
+  if (Number(sellTimeout) <= latest) return null;
+  return `The timeout must be at or before ${formatExpiry(latest)}, ${formatDuration(margin)} before ` +
+    `the buy lock expires at ${formatExpiry(buyEvent.timeout)}. Otherwise the buyer could take your ` +
+    "tokens and still retrieve their own.";
+};
+
+// Verify lock `lockId` holding `lockValue` (bigint, from getLockValue) for
+// `account`. `expectedToken` and `expectedValue` (bigint base units) are
+// optional; `token` ({ decimals, symbol }) formats amounts in messages.
+// Resolves to { ok, lockEvent, buyEvent, problems } where problems lists
+// every reason not to unlock.
+export const verifyLockForUnlock = ({
+  lockId,
+  lockValue,
+  events,
+  account,
+  expectedToken,
+  expectedValue,
+  token,
+  margin = DEFAULT_SAFETY_MARGIN,
+  now = Math.floor(Date.now() / 1000)
+}) => {
+  const problems = [];
+  const formatAmount = (value) => token
+    ? `${formatTokenAmount(value, token.decimals)} ${token.symbol}`.trim()
+    : `${value.toString()} base units`;
+
+  const lockEvent = findLockEvent(events, lockId);
+  if (!lockEvent) {
+    problems.push(`No lock event found for lock ${shortId(lockId)}. Check the token, creator, secret and timeout.`);
+    return { ok: false, lockEvent: null, buyEvent: null, problems };
+  }
+
+  if (lockValue === 0n) {
+    problems.push(`Lock ${shortId(lockId)} holds no funds. It was already unlocked, declined or retrieved.`);
+  }
+  if (!sameAddress(lockEvent.recipient, account)) {
+    problems.push(`Lock ${shortId(lockId)} pays ${lockEvent.recipient}, not your account.`);
+  }
+  if (now >= lockEvent.timeout) {
+    problems.push(`Lock ${shortId(lockId)} timed out at ${formatExpiry(lockEvent.timeout)}.`);
+  }
+
+  // Unlocking a LockBuy reveals nothing new, the secret is already public
+  if (lockEvent.type === 'LockBuy') {
+    return { ok: problems.length === 0, lockEvent, buyEvent: null, problems };
+  }
+
+  if (expectedToken && !sameAddress(lockEvent.token, expectedToken)) {
+    problems.push(`The seller locked token ${lockEvent.token}, not ${expectedToken}.`);
+  }
+  if (expectedValue !== undefined && expectedValue !== null && lockValue < expectedValue) {
+    problems.push(`The seller's lock holds ${formatAmount(lockValue)}, less than the expected ${formatAmount(expectedValue)}.`);
+  }
+
+  const buyEvent = events.find(event =>
+    event.type === 'LockBuy' && sameId(getEventLockId(event), lockEvent.buyLockId)
+  );
+  if (!buyEvent || !sameAddress(buyEvent.creator, account)) {
+    problems.push(`The seller's lock does not answer one of your buy locks (buyLockId ${shortId(lockEvent.buyLockId)}).`);
+    return { ok: false, lockEvent, buyEvent: buyEvent || null, problems };
+  }
+
+  if (!sameId(lockEvent.hashedSecret, buyEvent.hashedSecret)) {
+    problems.push("The seller's lock uses a different hashed secret than your buy lock. Unlocking it would not let the seller claim your lock, but it would reveal your secret.");
+  }
+
+  const gap = buyEvent.timeout - lockEvent.timeout;
+  if (lockEvent.timeout > latestSellExpiry(buyEvent.timeout, margin)) {
+    problems.push(
+      `The seller's lock expires at ${formatExpiry(lockEvent.timeout)}, ` +
+      (gap > 0 ? `only ${formatDuration(gap)} before` : 'not before') +
+      ` your lock at ${formatExpiry(buyEvent.timeout)}. At least ${formatDuration(margin)} is required, ` +
+      "otherwise you could be left unable to retrieve your own lock in time."
+    );
+  }
+
+  return { ok: problems.length === 0, lockEvent, buyEvent, problems };
+};
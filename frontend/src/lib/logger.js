@@ -0,0 +1,123 @@
+// Leveled logging for the whole app. Production builds only log errors;
+// development logs everything. `NEXT_PUBLIC_LOG_LEVEL` changes the default
+// and the debug switch, `localStorage['p2pswap:log-level']`, overrides it in
+// one browser:
+//
+//   localStorage.setItem('p2pswap:log-level', 'debug')
+//
+// Every argument is redacted before it reaches the console. Fields are
+// redacted by the type of data their name says they hold:
+//
+//   secret  secret, secretBytes32, revealedSecret, ... (not hashedSecret)
+//   key     privateKey, mnemonic, passphrase, password, seed, signature
+//
+// and CryptoKey values are never printed. Only plain objects, arrays and
+// errors are searched, so log the fields of class instances rather than the
+// instances.
+//
+// Errors are printed as plain objects with their name, message, stack, cause
+// and own fields. A failed transaction's error carries its calldata (an
+// unlock's holds the secret) in `transaction`, `info` and the message, so
+// any hex string of 32 bytes or more inside an error is redacted as well.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const LOG_LEVEL_KEY = 'p2pswap:log-level';
+const MAX_DEPTH = 6;
+
+const REDACTED_FIELD_TYPES = [
+  { type: 'secret', matches: (field) => /secret/i.test(field) && !/hash/i.test(field) },
+  { type: 'key', matches: (field) => /private.?key|mnemonic|passphrase|password|seed|signature/i.test(field) }
+];
+
+const CONSOLE_METHODS = { debug: 'log', info: 'info', warn: 'warn', error: 'error' };
+
+const isLogLevel = (level) => LOG_LEVELS.includes(level);
+
+const defaultLogLevel = () => {
+  const configured = process.env.NEXT_PUBLIC_LOG_LEVEL;
+  if (isLogLevel(configured)) return configured;
+  return process.env.NODE_ENV === 'production' ? 'error' : 'debug';
+};
+
+const readStoredLogLevel = () => {
+  if (typeof localStorage === 'undefined') return null;
+  try {
+    const stored = localStorage.getItem(LOG_LEVEL_KEY);
+    return isLogLevel(stored) ? stored : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+let currentLevel = null;
+
+export const getLogLevel = () => {
+  if (!currentLevel) currentLevel = readStoredLogLevel() || defaultLogLevel();
+  return currentLevel;
+};
+
+// Set this browser's log level; null goes back to the default
+export const setLogLevel = (level) => {
+  if (level !== null && !isLogLevel(level)) throw new Error(`Unknown log level ${level}`);
+  if (typeof localStorage !== 'undefined') {
+    if (level) localStorage.setItem(LOG_LEVEL_KEY, level);
+    else localStorage.removeItem(LOG_LEVEL_KEY);
+  }
+  currentLevel = level || defaultLogLevel();
+};
+
+const redactedType = (field) => REDACTED_FIELD_TYPES.find(({ matches }) => matches(field))?.type;
+
+const isPlainObject = (value) => {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+// Calldata, raw transactions and bytes32 words such as an unlock's secret
+const TRANSACTION_DATA = /0x[0-9a-f]{64,}/gi;
+
+// Fields of an error worth logging; `message` and `stack` are not enumerable
+const errorFields = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...error,
+  ...(error.cause !== undefined ? { cause: error.cause } : {}),
+  stack: error.stack
+});
+
+// Inside errors (`inError`) every object is searched, strings lose their
+// transaction data and anything nested too deep is left out
+const redactValue = (value, depth, inError = false) => {
+  if (typeof CryptoKey !== 'undefined' && value instanceof CryptoKey) return '[redacted key]';
+  if (inError && typeof value === 'string') return value.replace(TRANSACTION_DATA, '[redacted data]');
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > MAX_DEPTH) return inError ? '[truncated]' : value;
+  if (Array.isArray(value)) return Array.from(value, item => redactValue(item, depth + 1, inError));
+
+  const isError = value instanceof Error;
+  if (!isError && !inError && !isPlainObject(value)) return value;
+
+  return Object.fromEntries(Object.entries(isError ? errorFields(value) : value).map(([field, item]) => {
+    const type = redactedType(field);
+    return [field, type ? `[redacted ${type}]` : redactValue(item, depth + 1, inError || isError)];
+  }));
+};
+
+// Copy of `value` that is safe to log
+export const redact = (value) => redactValue(value, 0);
+
+// Logger whose messages are prefixed with `[scope]`
+export const createLogger = (scope) => {
+  const write = (level) => (...args) => {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(getLogLevel())) return;
+    console[CONSOLE_METHODS[level]](`[${scope}]`, ...args.map(redact));
+  };
+
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error')
+  };
+};
@@ -0,0 +1,65 @@
+import { ethers } from 'ethers';
+
+// Registry of networks the swap contract is deployed on, keyed by chain ID.
+//
+// Each entry holds:
+//   chainId          numeric chain ID
+//   name             display name
+//   address          AtomicSwapERC20 address
+//   deploymentBlock  first block to index events from
+//   explorerUrl      block explorer base URL, without trailing slash
+//   rpcUrl           public JSON-RPC URL for browsing without a wallet
+//   tokens           known tokens as { address, symbol, name, decimals }
+
+export const normalizeChainId = (chainId) => {
+  if (chainId === undefined || chainId === null || chainId === '') return null;
+  try {
+    return BigInt(chainId).toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizeEntry = (chainId, entry) => ({
+  chainId: Number(chainId),
+  name: entry.name || `Chain ${chainId}`,
+  address: ethers.getAddress(entry.address),
+  deploymentBlock: Number(entry.deploymentBlock || 0),
+  explorerUrl: entry.explorerUrl ? entry.explorerUrl.replace(/\/+$/, '') : null,
+  rpcUrl: entry.rpcUrl || null,
+  tokens: (entry.tokens || []).map(token => ({
+    ...token,
+    address: ethers.getAddress(token.address)
+  }))
+});
+
+// Build a registry from `{ [chainId]: entry }`. Entries without an address
+// are skipped, so a chain can be listed before it has a deployment.
+export const createNetworkRegistry = (entries = {}) => {
+  const networks = new Map();
+  Object.entries(entries).forEach(([chainId, entry]) => {
+    const key = normalizeChainId(chainId);
+    if (key && entry && entry.address) {
+      networks.set(key, normalizeEntry(key, entry));
+    }
+  });
+
+  return {
+    // Entry for `chainId` (number, bigint, decimal or hex string), or null
+    get(chainId) {
+      return networks.get(normalizeChainId(chainId)) || null;
+    },
+    isSupported(chainId) {
+      return networks.has(normalizeChainId(chainId));
+    },
+    list() {
+      return [...networks.values()];
+    }
+  };
+};
+
+// Explorer link for an address or transaction on `network`, or null
+export const getExplorerLink = (network, type, value) => {
+  if (!network || !network.explorerUrl || !value) return null;
+  return `${network.explorerUrl}/${type === 'tx' ? 'tx' : 'address'}/${value}`;
+};
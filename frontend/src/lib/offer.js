@@ -0,0 +1,185 @@
+import { ethers } from 'ethers';
+
+// Swap offers shared as links. After locking, the buyer sends the seller a
+// `/swap?offer=...` URL instead of copying every field by hand, and the
+// seller's Lock Sell form opens prefilled.
+//
+// The payload is base64url JSON followed by a 4-byte keccak256 checksum,
+// which catches truncated or mistyped links. It is not a signature: anyone
+// can build an offer, so the seller's form checks every field against the
+// LockBuy event on chain before locking.
+//
+// Fields:
+//   v             payload version
+//   chainId       chain of the swap contract
+//   contract      AtomicSwapERC20 address
+//   lockId        the buyer's lock
+//   token         token the buyer locked
+//   buyer         creator of the buy lock
+//   seller        recipient of the buy lock
+//   hashedSecret  hash the seller's lock must reuse
+//   timeout       buy lock expiry, Unix seconds
+//   value         locked amount, base units
+//   sellAssetId   asset the buyer is buying
+//   sellPrice     unit price, base units of `token`
+//   sellToken     optional token the seller should lock
+//   sellAmount    optional amount of `sellToken`, human units
+
+export const OFFER_VERSION = 1;
+
+const ADDRESS_FIELDS = ['contract', 'token', 'buyer', 'seller'];
+const BYTES32_FIELDS = ['lockId', 'hashedSecret', 'sellAssetId'];
+const INTEGER_FIELDS = ['chainId', 'timeout', 'value', 'sellPrice'];
+
+const toBase64Url = (base64) => base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+};
+
+const checksumOf = (bytes) => ethers.dataSlice(ethers.keccak256(bytes), 0, 4).slice(2);
+
+// Validate and normalize offer fields; throws on the first invalid one
+const normalizeOffer = (offer) => {
+  if (!offer || typeof offer !== 'object') throw new Error("The offer is empty");
+  if (Number(offer.v) !== OFFER_VERSION) throw new Error(`Unsupported offer version ${offer.v}`);
+
+  const normalized = { v: OFFER_VERSION };
+  ADDRESS_FIELDS.forEach(field => {
+    if (!ethers.isAddress(offer[field])) throw new Error(`The offer's ${field} is not an address`);
+    normalized[field] = ethers.getAddress(offer[field]);
+  });
+  BYTES32_FIELDS.forEach(field => {
+    if (!ethers.isHexString(offer[field], 32)) throw new Error(`The offer's ${field} is not a bytes32 value`);
+    normalized[field] = offer[field].toLowerCase();
+  });
+  INTEGER_FIELDS.forEach(field => {
+    if (!/^\d+$/.test(String(offer[field] ?? ''))) throw new Error(`The offer's ${field} is not a whole number`);
+    normalized[field] = String(offer[field]);
+  });
+
+  if (offer.sellToken) {
+    if (!ethers.isAddress(offer.sellToken)) throw new Error("The offer's sellToken is not an address");
+    normalized.sellToken = ethers.getAddress(offer.sellToken);
+  }
+  if (offer.sellAmount) normalized.sellAmount = String(offer.sellAmount);
+  return normalized;
+};
+
+// Offer for a formatted LockBuy event on `chainId` and `contract`, with the
+// optional token and amount the buyer wants in return
+export const offerFromLockBuy = (event, { chainId, contract, sellToken, sellAmount }) => normalizeOffer({
+  v: OFFER_VERSION,
+  chainId: chainId.toString(),
+  contract,
+  lockId: event.lockId,
+  token: event.token,
+  buyer: event.creator,
+  seller: event.recipient,
+  hashedSecret: event.hashedSecret,
+  timeout: String(event.timeout),
+  value: event.value.toString(),
+  sellAssetId: event.sellAssetId,
+  sellPrice: event.sellPrice.toString(),
+  sellToken: sellToken || undefined,
+  sellAmount: sellAmount || undefined
+});
+
+export const encodeOffer = (offer) => {
+  const bytes = ethers.toUtf8Bytes(JSON.stringify(normalizeOffer(offer)));
+  return `${toBase64Url(ethers.encodeBase64(bytes))}.${checksumOf(bytes)}`;
+};
+
+// Offer from an encoded payload; throws when it is malformed or the
+// checksum doesn't match
+export const decodeOffer = (encoded) => {
+  const [payload, checksum] = String(encoded || '').trim().split('.');
+  if (!payload || !checksum) throw new Error("The offer link is incomplete");
+
+  let bytes;
+  try {
+    bytes = ethers.decodeBase64(fromBase64Url(payload));
+  } catch (error) {
+    throw new Error("The offer link is not valid base64");
+  }
+  if (checksumOf(bytes) !== checksum.toLowerCase()) {
+    throw new Error("The offer link is damaged: its checksum does not match");
+  }
+
+  let offer;
+  try {
+    offer = JSON.parse(ethers.toUtf8String(bytes));
+  } catch (error) {
+    throw new Error("The offer link does not contain an offer");
+  }
+  return normalizeOffer(offer);
+};
+
+// Link that opens `offer` on the swap page at `origin`
+export const buildOfferUrl = (offer, origin) => `${origin}/swap?offer=${encodeOffer(offer)}`;
+
+const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Form fields prefilled from an offer, with the offer field each must keep
+const FORM_FIELDS = [
+  ['recipient', 'buyer'],
+  ['hashedSecret', 'hashedSecret'],
+  ['buyAssetId', 'sellAssetId'],
+  ['buyLockId', 'lockId']
+];
+
+// Problems with answering `offer` from `account`, judged against the
+// indexed `lockEvent` (the LockBuy under offer.lockId) and the lock's
+// on-chain value. `lockValue` is null when it could not be read. `form`
+// holds the values about to be submitted, which must still match the
+// offer. An empty list means the offer matches the chain.
+export const verifyOffer = (offer, { lockEvent, lockValue, account, chainId, contract, form }) => {
+  const problems = [];
+
+  if (form) {
+    FORM_FIELDS.filter(([field, offerField]) => !same(form[field], offer[offerField])).forEach(([field, offerField]) => {
+      problems.push(`The form's ${field} was changed and no longer matches the offer's ${offerField}.`);
+    });
+  }
+
+  if (chainId !== null && chainId !== undefined && !same(offer.chainId, chainId)) {
+    problems.push(`The offer is for chain ${offer.chainId}, but your wallet is on chain ${chainId}.`);
+  }
+  if (contract && !same(offer.contract, contract)) {
+    problems.push("The offer names a different swap contract.");
+  }
+  if (account && !same(offer.seller, account)) {
+    problems.push("The offer is addressed to another seller.");
+  }
+
+  if (!lockEvent) {
+    problems.push("The buy lock is not in the indexed events. Refresh the events and try again.");
+    return problems;
+  }
+  if (lockEvent.type !== 'LockBuy') {
+    problems.push("The offer's lock is not a LockBuy.");
+    return problems;
+  }
+
+  const mismatches = [
+    ['token', lockEvent.token],
+    ['buyer', lockEvent.creator],
+    ['seller', lockEvent.recipient],
+    ['hashedSecret', lockEvent.hashedSecret],
+    ['timeout', lockEvent.timeout],
+    ['value', lockEvent.value],
+    ['sellAssetId', lockEvent.sellAssetId],
+    ['sellPrice', lockEvent.sellPrice]
+  ].filter(([field, actual]) => !same(offer[field], actual));
+  mismatches.forEach(([field]) => {
+    problems.push(`The offer's ${field} does not match the buy lock on chain.`);
+  });
+
+  if (lockValue === null) {
+    problems.push("Could not verify that the buy lock still holds funds. Check your connection and try again.");
+  } else if (lockValue !== undefined && BigInt(lockValue) === 0n) {
+    problems.push("The buy lock no longer holds any funds.");
+  }
+  return problems;
+};
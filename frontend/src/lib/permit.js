@@ -0,0 +1,113 @@
+import { ethers } from 'ethers';
+
+// EIP-2612 permits: a signed approval the swap contract submits itself, so
+// locking takes one transaction instead of approve + lock.
+//
+// A token counts as permit-capable when it exposes `nonces` and
+// `DOMAIN_SEPARATOR` and we can rebuild its EIP-712 domain exactly. Tokens
+// whose domain can't be matched fall back to a regular approve, since a
+// permit signed over the wrong domain would only fail on chain.
+
+const PERMIT_ABI = [
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+  'function version() view returns (string)',
+  'function name() view returns (string)'
+];
+
+export const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// How long a signed permit stays valid, in seconds
+export const PERMIT_VALIDITY = 20 * 60;
+
+// Domain lookups per chain and token; null marks tokens without permit
+const domains = new Map();
+
+const tryCall = async (promise) => {
+  try {
+    return await promise;
+  } catch (error) {
+    return null;
+  }
+};
+
+const findDomain = async (provider, tokenAddress) => {
+  const token = new ethers.Contract(tokenAddress, PERMIT_ABI, provider);
+  const [separator, nonce] = await Promise.all([
+    tryCall(token.DOMAIN_SEPARATOR()),
+    tryCall(token.nonces(ethers.ZeroAddress))
+  ]);
+  if (!separator || nonce === null) return null;
+
+  const { chainId } = await provider.getNetwork();
+  const candidates = [];
+
+  // EIP-5267 tokens describe their domain directly
+  const described = await tryCall(token.eip712Domain());
+  if (described) {
+    candidates.push({
+      name: described.name,
+      version: described.version,
+      chainId,
+      verifyingContract: described.verifyingContract
+    });
+  }
+
+  // Otherwise guess from name() and the common versions
+  const name = await tryCall(token.name());
+  if (name !== null) {
+    const version = await tryCall(token.version());
+    const versions = [...new Set([version, '1', '2'].filter(Boolean))];
+    versions.forEach(candidate => candidates.push({
+      name,
+      version: candidate,
+      chainId,
+      verifyingContract: tokenAddress
+    }));
+  }
+
+  return candidates.find(domain =>
+    ethers.TypedDataEncoder.hashDomain(domain).toLowerCase() === separator.toLowerCase()
+  ) || null;
+};
+
+// EIP-712 domain of `tokenAddress`, or null when it doesn't support permits
+export const getPermitDomain = async (provider, tokenAddress) => {
+  const address = ethers.getAddress(tokenAddress);
+  const { chainId } = await provider.getNetwork();
+  const key = `${chainId.toString()}:${address.toLowerCase()}`;
+  if (!domains.has(key)) {
+    // Forget failed lookups so they are retried
+    domains.set(key, findDomain(provider, address).catch(error => {
+      domains.delete(key);
+      throw error;
+    }));
+  }
+  return domains.get(key);
+};
+
+// Sign a permit for `spender` to transfer `value` of `tokenAddress` from the
+// signer. Resolves to the { deadline, v, r, s } the swap contract takes.
+export const signPermit = async (signer, { tokenAddress, domain, spender, value, deadline }) => {
+  const owner = await signer.getAddress();
+  const token = new ethers.Contract(tokenAddress, PERMIT_ABI, signer.provider);
+  const nonce = await token.nonces(owner);
+
+  const signature = ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, {
+    owner,
+    spender,
+    value,
+    nonce,
+    deadline
+  }));
+  return { deadline, v: signature.v, r: signature.r, s: signature.s };
+};
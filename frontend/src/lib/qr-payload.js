@@ -0,0 +1,79 @@
+import { ethers } from 'ethers';
+import { computeLockId } from './lock-id.js';
+import { offerFromLockBuy, buildOfferUrl, decodeOffer } from './offer.js';
+import { parseLockTerms } from './lock-inspection.js';
+
+// Text carried by swap QR codes, so a lock can move between a phone wallet
+// and a laptop. A LockBuy is exported as its offer link (see offer.js), any
+// other lock as its lock inspector link with the terms in the query. Both
+// are plain URLs, so a phone camera opens them directly.
+
+// Lock inspector path for a lock's terms ({ token, creator, recipient,
+// hashedSecret, timeout })
+export const lockDetailsPath = (terms) => {
+  const query = new URLSearchParams({
+    token: terms.token,
+    creator: terms.creator,
+    recipient: terms.recipient,
+    hashedSecret: terms.hashedSecret,
+    timeout: String(terms.timeout)
+  });
+  return `/lock/${computeLockId(terms)}?${query.toString()}`;
+};
+
+// QR text for a formatted LockBuy or LockSell event on `chainId` and
+// `contract`, with links rooted at `origin`
+export const lockQrText = (event, { chainId, contract, origin }) => {
+  if (event.type === 'LockBuy') {
+    return buildOfferUrl(offerFromLockBuy(event, { chainId, contract }), origin);
+  }
+  return `${origin}${lockDetailsPath(event)}`;
+};
+
+const offerTerms = (offer) => ({
+  token: offer.token,
+  creator: offer.buyer,
+  recipient: offer.seller,
+  hashedSecret: offer.hashedSecret,
+  timeout: Number(offer.timeout)
+});
+
+// What a scanned QR holds:
+//   { kind: 'offer', lockId, offer, terms }  offer link or bare offer payload
+//   { kind: 'lock', lockId, terms }          lock inspector link or bare lock ID
+// `terms` is null when the lock's terms are not included or don't hash to
+// its ID. Throws when the text is neither.
+export const parseQrText = (text) => {
+  const value = String(text || '').trim();
+
+  if (ethers.isHexString(value, 32)) {
+    return { kind: 'lock', lockId: value.toLowerCase(), terms: null };
+  }
+
+  let url = null;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    // Not a link; may be a bare offer payload
+  }
+
+  if (!url) {
+    const offer = decodeOffer(value);
+    return { kind: 'offer', lockId: offer.lockId, offer, terms: offerTerms(offer) };
+  }
+
+  if (url.searchParams.has('offer')) {
+    const offer = decodeOffer(url.searchParams.get('offer'));
+    return { kind: 'offer', lockId: offer.lockId, offer, terms: offerTerms(offer) };
+  }
+
+  const match = url.pathname.match(/\/lock\/(0x[0-9a-fA-F]{64})\/?$/);
+  if (match) {
+    const lockId = match[1].toLowerCase();
+    const terms = parseLockTerms(Object.fromEntries(url.searchParams));
+    const matches = terms && computeLockId(terms).toLowerCase() === lockId;
+    return { kind: 'lock', lockId, terms: matches ? terms : null };
+  }
+
+  throw new Error("This QR code does not hold a swap offer or a lock");
+};
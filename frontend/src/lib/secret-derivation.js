@@ -0,0 +1,111 @@
+import { ethers } from 'ethers';
+import { hashSecret } from './secret.js';
+
+// Secrets derived from a wallet signature instead of chosen at random, so
+// the buyer can recover them on any device by signing again.
+//
+// The buyer signs an EIP-712 message naming the lock's token, the
+// counterparty (the lock's recipient), its timeout and a nonce, scoped to
+// the chain and swap contract. The secret is keccak256 of the signature.
+// All of these except the nonce are in the LockBuy event, so re-deriving
+// only needs the nonce (0 unless the buyer chose another one).
+//
+// This relies on the wallet signing deterministically (RFC 6979), which
+// common software and hardware wallets do. The signature is the secret's
+// only source: never share it, and treat a request to sign this message on
+// another site as an attempt to steal the swap.
+
+export const SECRET_DERIVATION_STATEMENT =
+  "Sign to derive the secret of this swap. Only sign this on the P2P Token Swap app.";
+
+export const SECRET_DERIVATION_TYPES = {
+  SwapSecret: [
+    { name: 'statement', type: 'string' },
+    { name: 'token', type: 'address' },
+    { name: 'counterparty', type: 'address' },
+    { name: 'timeout', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+export const secretDerivationDomain = ({ chainId, contract }) => ({
+  name: 'P2P Token Swap Secret',
+  version: '1',
+  chainId: BigInt(chainId),
+  verifyingContract: ethers.getAddress(contract)
+});
+
+export const secretDerivationMessage = ({ token, counterparty, timeout, nonce = 0 }) => ({
+  statement: SECRET_DERIVATION_STATEMENT,
+  token: ethers.getAddress(token),
+  counterparty: ethers.getAddress(counterparty),
+  timeout: BigInt(timeout),
+  nonce: BigInt(nonce || 0)
+});
+
+// Bytes32 secret for a signature. Signatures are normalized first, so
+// wallets that report v as 0/1 instead of 27/28 derive the same secret.
+export const secretFromSignature = (signature) => {
+  return ethers.keccak256(ethers.Signature.from(signature).serialized);
+};
+
+// Ask `signer` for the derivation signature of a lock's terms ({ chainId,
+// contract, token, counterparty, timeout, nonce }) and resolve to the
+// bytes32 secret
+export const deriveSecret = async (signer, terms) => {
+  const signature = await signer.signTypedData(
+    secretDerivationDomain(terms),
+    SECRET_DERIVATION_TYPES,
+    secretDerivationMessage(terms)
+  );
+  return secretFromSignature(signature);
+};
+
+// Fields of a lock form ({ token, counterparty, nonce }) that no longer
+// match the terms a secret was derived from. The derived terms' timeout is
+// what gets locked, so it cannot drift.
+export const derivationChanges = (derivation, { token, counterparty, nonce = 0 }) => {
+  const changes = [];
+  if (!ethers.isAddress(token) || ethers.getAddress(token) !== ethers.getAddress(derivation.token)) {
+    changes.push('token');
+  }
+  if (!ethers.isAddress(counterparty) || ethers.getAddress(counterparty) !== ethers.getAddress(derivation.counterparty)) {
+    changes.push('recipient');
+  }
+  if (String(nonce || 0) !== String(derivation.nonce || 0)) changes.push('nonce');
+  return changes;
+};
+
+// The LockBuy created by `account` with `hashedSecret`, whose terms the
+// secret would have been derived from; undefined when there is none
+export const findDerivationLock = (events, account, hashedSecret) => {
+  if (!account || !hashedSecret) return undefined;
+  return events.find(event =>
+    event.type === 'LockBuy' &&
+    event.creator?.toLowerCase() === account.toLowerCase() &&
+    event.hashedSecret?.toLowerCase() === hashedSecret.toLowerCase()
+  );
+};
+
+// Re-derive the secret of `hashedSecret` from its LockBuy in `events`.
+// Throws when the account has no such lock or the signature yields another
+// secret (a random secret, or a different nonce).
+export const rederiveSecret = async (signer, { events, account, chainId, contract, hashedSecret, nonce = 0 }) => {
+  const lock = findDerivationLock(events, account, hashedSecret);
+  if (!lock) {
+    throw new Error("None of your indexed buy locks uses this hashed secret, so there is nothing to derive it from");
+  }
+
+  const secret = await deriveSecret(signer, {
+    chainId,
+    contract,
+    token: lock.token,
+    counterparty: lock.recipient,
+    timeout: lock.timeout,
+    nonce
+  });
+  if (hashSecret(secret).toLowerCase() !== hashedSecret.toLowerCase()) {
+    throw new Error(`Signing with nonce ${nonce} does not give this lock's secret. The lock may use a random secret or another nonce.`);
+  }
+  return secret;
+};
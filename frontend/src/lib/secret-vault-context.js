@@ -0,0 +1,129 @@
+"use client";
+
+import { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { createSecretVault } from './secret-vault.js';
+import { useToast } from '@/components/ui/use-toast';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('secret-vault-context');
+
+const SecretVaultContext = createContext();
+
+export function useSecretVault() {
+  return useContext(SecretVaultContext);
+}
+
+// The browser's secret vault, shared by the forms that create secrets and
+// the ones that unlock with them
+export function SecretVaultProvider({ children }) {
+  const vaultRef = useRef(null);
+  const [hasVault, setHasVault] = useState(false);
+  const [isUnlocked, setIsUnlocked] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const { toast } = useToast();
+
+  // IndexedDB is only available in the browser
+  useEffect(() => {
+    vaultRef.current = createSecretVault();
+    vaultRef.current.exists()
+      .then(setHasVault)
+      .catch(error => {
+        logger.error("Error opening the secret vault:", error);
+      });
+  }, []);
+
+  // Unlock with `passphrase`, which becomes the vault's passphrase when none
+  // is set yet. Resolves to whether it worked.
+  const unlockVault = async (passphrase) => {
+    if (!vaultRef.current) return false;
+    try {
+      setEntries(await vaultRef.current.unlock(passphrase));
+      setIsUnlocked(true);
+      setHasVault(true);
+      return true;
+    } catch (error) {
+      logger.error("Error unlocking the secret vault:", error);
+      toast({
+        title: "Vault Still Locked",
+        description: error.message,
+        variant: "destructive",
+      });
+      return false;
+    }
+  };
+
+  const lockVault = () => {
+    if (vaultRef.current) vaultRef.current.lock();
+    setIsUnlocked(false);
+    setEntries([]);
+  };
+
+  // Store a secret with its lock details ({ secret, lockId, token, timeout,
+  // chainId }). Resolves to the stored entry, or null when the vault is
+  // locked or saving failed.
+  const saveSecret = async (entry) => {
+    if (!vaultRef.current || !vaultRef.current.isUnlocked()) return null;
+    try {
+      const saved = await vaultRef.current.save(entry);
+      setEntries(vaultRef.current.getEntries());
+      return saved;
+    } catch (error) {
+      logger.error("Error saving secret:", error);
+      toast({
+        title: "Secret Not Saved",
+        description: error.message,
+        variant: "destructive",
+      });
+      return null;
+    }
+  };
+
+  // Secret stored for `hashedSecret`, or null
+  const findSecret = (hashedSecret) => {
+    if (!hashedSecret) return null;
+    const entry = entries.find(e => e.hashedSecret === hashedSecret.toLowerCase());
+    return entry ? entry.secret : null;
+  };
+
+  const exportBackup = () => vaultRef.current.exportBackup();
+
+  // Import a backup file exported with `passphrase`. Resolves to the number
+  // of secrets imported, or null when the import failed.
+  const importBackup = async (text, passphrase) => {
+    try {
+      const count = await vaultRef.current.importBackup(text, passphrase);
+      setEntries(vaultRef.current.getEntries());
+      toast({
+        title: "Backup Imported",
+        description: `${count} secret${count === 1 ? '' : 's'} restored`,
+      });
+      return count;
+    } catch (error) {
+      logger.error("Error importing vault backup:", error);
+      toast({
+        title: "Import Failed",
+        description: error.message,
+        variant: "destructive",
+      });
+      return null;
+    }
+  };
+
+  const value = {
+    hasVault,
+    isUnlocked,
+    entries,
+    unlockVault,
+    lockVault,
+    saveSecret,
+    findSecret,
+    exportBackup,
+    importBackup
+  };
+
+  return (
+    <SecretVaultContext.Provider value={value}>
+      {children}
+    </SecretVaultContext.Provider>
+  );
+}
@@ -0,0 +1,310 @@
+import { ethers } from 'ethers';
+import { encodeSecret, hashSecret } from './secret.js';
+
+// Encrypted store for swap secrets, so a buyer can still unlock after the
+// tab that created the lock is gone. Each entry holds a secret with its
+// hashedSecret, lockId, token and timeout, encrypted with AES-GCM under a
+// key derived from the user's passphrase (PBKDF2-SHA256). Records are keyed
+// by hashedSecret, which is public on chain anyway; everything else is only
+// readable with the passphrase. Outside the browser an in-memory store is
+// used instead of IndexedDB.
+//
+// Backups are the encrypted records as JSON together with the salt they
+// were encrypted under, so importing one needs the passphrase of the vault
+// that exported it.
+
+const DB_NAME = 'p2pswap-vault';
+const DB_VERSION = 1;
+const META_STORE = 'meta';
+const SECRETS_STORE = 'secrets';
+const META_ID = 'vault';
+
+export const BACKUP_FORMAT = 'p2pswap-secret-vault';
+export const BACKUP_VERSION = 1;
+export const DEFAULT_KDF_ITERATIONS = 600000;
+// Highest iteration count a backup may ask for, so a crafted file can't
+// stall the page deriving its key
+export const MAX_KDF_ITERATIONS = DEFAULT_KDF_ITERATIONS * 10;
+
+// Known plaintext that tells a wrong passphrase from a right one
+const CHECK_VALUE = { vault: BACKUP_FORMAT };
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(SECRETS_STORE)) {
+          db.createObjectStore(SECRETS_STORE, { keyPath: 'hashedSecret' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const createIndexedDbStore = () => ({
+  async getMeta() {
+    const db = await openDatabase();
+    const meta = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).get(META_ID));
+    return meta || null;
+  },
+
+  async putMeta(meta) {
+    const db = await openDatabase();
+    const tx = db.transaction(META_STORE, 'readwrite');
+    tx.objectStore(META_STORE).put({ ...meta, id: META_ID });
+    await transactionDone(tx);
+  },
+
+  async getRecords() {
+    const db = await openDatabase();
+    return requestToPromise(db.transaction(SECRETS_STORE).objectStore(SECRETS_STORE).getAll());
+  },
+
+  async putRecords(records) {
+    const db = await openDatabase();
+    const tx = db.transaction(SECRETS_STORE, 'readwrite');
+    const store = tx.objectStore(SECRETS_STORE);
+    records.forEach(record => store.put(record));
+    await transactionDone(tx);
+  }
+});
+
+const createMemoryStore = () => {
+  let meta = null;
+  const records = new Map();
+  return {
+    async getMeta() {
+      return meta;
+    },
+    async putMeta(newMeta) {
+      meta = { ...newMeta, id: META_ID };
+    },
+    async getRecords() {
+      return [...records.values()];
+    },
+    async putRecords(newRecords) {
+      newRecords.forEach(record => records.set(record.hashedSecret, record));
+    }
+  };
+};
+
+export const createVaultStore = () => {
+  if (typeof indexedDB === 'undefined') {
+    return createMemoryStore();
+  }
+  return createIndexedDbStore();
+};
+
+const getSubtle = () => {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error("This browser cannot encrypt the vault: WebCrypto is unavailable");
+  }
+  return globalThis.crypto.subtle;
+};
+
+// AES-GCM key for `passphrase` and a hex `salt`
+export const deriveVaultKey = async (passphrase, salt, iterations = DEFAULT_KDF_ITERATIONS) => {
+  const subtle = getSubtle();
+  const material = await subtle.importKey('raw', ethers.toUtf8Bytes(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt: ethers.getBytes(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptJson = async (key, value) => {
+  const iv = ethers.randomBytes(12);
+  const data = await getSubtle().encrypt({ name: 'AES-GCM', iv }, key, ethers.toUtf8Bytes(JSON.stringify(value)));
+  return { iv: ethers.hexlify(iv), data: ethers.encodeBase64(new Uint8Array(data)) };
+};
+
+// Throws when `key` is not the one `box` was encrypted with
+const decryptJson = async (key, box) => {
+  const data = await getSubtle().decrypt(
+    { name: 'AES-GCM', iv: ethers.getBytes(box.iv) },
+    key,
+    ethers.decodeBase64(box.data)
+  );
+  return JSON.parse(ethers.toUtf8String(new Uint8Array(data)));
+};
+
+// Key for `meta` if `passphrase` opens it, else null
+const openMeta = async (meta, passphrase) => {
+  const key = await deriveVaultKey(passphrase, meta.salt, meta.iterations);
+  try {
+    await decryptJson(key, meta.check);
+    return key;
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizeEntry = (entry) => {
+  const secret = encodeSecret(entry.secret);
+  return {
+    hashedSecret: hashSecret(secret).toLowerCase(),
+    secret,
+    lockId: entry.lockId ? entry.lockId.toLowerCase() : null,
+    token: entry.token || null,
+    timeout: entry.timeout ? Number(entry.timeout) : null,
+    chainId: entry.chainId !== undefined && entry.chainId !== null ? entry.chainId.toString() : null,
+    createdAt: entry.createdAt || Date.now()
+  };
+};
+
+// Vault over `store`. It starts locked; `unlock` with the passphrase (which
+// sets it on first use) decrypts the entries and keeps the key in memory
+// until `lock`.
+export const createSecretVault = ({ store = createVaultStore(), iterations = DEFAULT_KDF_ITERATIONS } = {}) => {
+  let key = null;
+  let entries = [];
+
+  const requireKey = () => {
+    if (!key) throw new Error("The secret vault is locked");
+    return key;
+  };
+
+  const encryptEntry = async (entry) => ({
+    hashedSecret: entry.hashedSecret,
+    ...(await encryptJson(requireKey(), entry))
+  });
+
+  const vault = {
+    // Whether a passphrase has been set
+    async exists() {
+      return Boolean(await store.getMeta());
+    },
+
+    isUnlocked() {
+      return key !== null;
+    },
+
+    // Decrypted entries, newest first
+    getEntries() {
+      return [...entries].sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async unlock(passphrase) {
+      if (!passphrase) throw new Error("Please enter the vault passphrase");
+
+      let meta = await store.getMeta();
+      if (!meta) {
+        const salt = ethers.hexlify(ethers.randomBytes(16));
+        const newKey = await deriveVaultKey(passphrase, salt, iterations);
+        meta = { salt, iterations, check: await encryptJson(newKey, CHECK_VALUE) };
+        await store.putMeta(meta);
+      }
+
+      const openedKey = await openMeta(meta, passphrase);
+      if (!openedKey) throw new Error("Wrong vault passphrase");
+
+      const records = await store.getRecords();
+      entries = await Promise.all(records.map(record => decryptJson(openedKey, record)));
+      key = openedKey;
+      return vault.getEntries();
+    },
+
+    lock() {
+      key = null;
+      entries = [];
+    },
+
+    // Store a secret ({ secret, lockId, token, timeout, chainId }); a secret
+    // already in the vault keeps its creation time and fills in new fields
+    async save(entry) {
+      requireKey();
+      const normalized = normalizeEntry(entry);
+      const existing = entries.find(e => e.hashedSecret === normalized.hashedSecret);
+      const merged = existing
+        ? {
+            ...existing,
+            ...Object.fromEntries(Object.entries(normalized).filter(([, value]) => value !== null)),
+            createdAt: existing.createdAt
+          }
+        : normalized;
+
+      await store.putRecords([await encryptEntry(merged)]);
+      entries = [...entries.filter(e => e.hashedSecret !== merged.hashedSecret), merged];
+      return merged;
+    },
+
+    // Secret whose hash is `hashedSecret`, or null
+    findSecret(hashedSecret) {
+      if (!hashedSecret) return null;
+      const entry = entries.find(e => e.hashedSecret === hashedSecret.toLowerCase());
+      return entry ? entry.secret : null;
+    },
+
+    // Backup file contents; the records stay encrypted
+    async exportBackup() {
+      requireKey();
+      const meta = await store.getMeta();
+      return JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        salt: meta.salt,
+        iterations: meta.iterations,
+        check: meta.check,
+        records: await store.getRecords()
+      }, null, 2);
+    },
+
+    // Add the entries of a backup exported with `passphrase`, re-encrypted
+    // under this vault's key. Resolves to the number of entries imported.
+    async importBackup(text, passphrase) {
+      requireKey();
+      let backup;
+      try {
+        backup = JSON.parse(text);
+      } catch (error) {
+        throw new Error("This file is not a vault backup");
+      }
+      if (backup?.format !== BACKUP_FORMAT || !Array.isArray(backup.records)) {
+        throw new Error("This file is not a vault backup");
+      }
+      if (backup.version !== BACKUP_VERSION) {
+        throw new Error(`Unsupported vault backup version ${backup.version}`);
+      }
+      if (!Number.isInteger(backup.iterations) || backup.iterations < 1 || backup.iterations > MAX_KDF_ITERATIONS) {
+        throw new Error(`The backup's key derivation iterations must be a whole number from 1 to ${MAX_KDF_ITERATIONS}`);
+      }
+
+      const backupKey = await openMeta(backup, passphrase || '');
+      if (!backupKey) throw new Error("Wrong passphrase for this backup");
+
+      const imported = await Promise.all(backup.records.map(record => decryptJson(backupKey, record)));
+      for (const entry of imported) {
+        await vault.save(entry);
+      }
+      return imported.length;
+    }
+  };
+  return vault;
+};
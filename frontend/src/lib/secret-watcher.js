@@ -0,0 +1,62 @@
+import { buildSwaps, SWAP_STATES } from './swap-lifecycle.js';
+import { verifySecret } from './secret.js';
+
+// Finds counterparty locks that the current account can now claim because
+// the secret was revealed on chain.
+//
+// Once the buyer unlocks the seller's LockSell, the Unlock event carries the
+// secret. The seller is the recipient of the linked LockBuy and can unlock it
+// with that same secret until the LockBuy times out.
+
+const AUTO_UNLOCK_KEY = 'p2pswap:auto-unlock';
+
+const sameAddress = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+// Claimable locks for `account` at chain time `now` (seconds). Each claim
+// holds everything unlock() needs plus the seconds left before the timeout.
+export const findRevealedSecretClaims = (events, account, now = Math.floor(Date.now() / 1000)) => {
+  if (!account) return [];
+
+  return buildSwaps(events, now)
+    .filter(swap => swap.buy && swap.buy.state === SWAP_STATES.OPEN && sameAddress(swap.buy.recipient, account))
+    .map(swap => {
+      const revealed = swap.sells.find(sell =>
+        sell.state === SWAP_STATES.UNLOCKED &&
+        sell.resolution.secret &&
+        verifySecret(sell.resolution.secret, swap.buy.hashedSecret)
+      );
+      if (!revealed) return null;
+
+      return {
+        lockId: swap.buy.lockId,
+        token: swap.buy.token,
+        creator: swap.buy.creator,
+        hashedSecret: swap.buy.hashedSecret,
+        timeout: swap.buy.timeout,
+        value: swap.buy.value,
+        secret: revealed.resolution.secret,
+        revealedBy: revealed.lockId,
+        remaining: swap.buy.timeout - now
+      };
+    })
+    .filter(Boolean);
+};
+
+// Claim unlocked by a newly received Unlock event, if it reveals the secret
+// of a lock `account` can take
+export const findClaimForUnlockEvent = (unlockEvent, events, account, now) => {
+  if (!unlockEvent || unlockEvent.type !== 'Unlock') return null;
+  const claims = findRevealedSecretClaims([unlockEvent, ...events], account, now);
+  return claims.find(claim => claim.revealedBy.toLowerCase() === unlockEvent.lockId.toLowerCase()) || null;
+};
+
+// Whether revealed secrets are submitted without asking. Off by default.
+export const getAutoUnlockPreference = () => {
+  if (typeof localStorage === 'undefined') return false;
+  return localStorage.getItem(AUTO_UNLOCK_KEY) === 'true';
+};
+
+export const setAutoUnlockPreference = (enabled) => {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(AUTO_UNLOCK_KEY, enabled ? 'true' : 'false');
+};
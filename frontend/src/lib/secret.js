@@ -0,0 +1,43 @@
+import { ethers } from 'ethers';
+
+// The single secret encoding used by every swap component.
+//
+// A secret is a bytes32 value. Users may enter it either as 0x-prefixed
+// bytes32 hex, which is used as-is, or as a passphrase, which is encoded as
+// keccak256(utf8(passphrase)). The contract checks
+// keccak256(abi.encode(secret)) against the lock's hashedSecret.
+
+export const isBytes32Hex = (value) => ethers.isHexString(value, 32);
+
+// Random 32-byte secret as hex
+export const generateSecret = () => ethers.hexlify(ethers.randomBytes(32));
+
+// Turn user input into the bytes32 secret passed to unlock()
+export const encodeSecret = (input) => {
+  if (input === undefined || input === null || input === '') {
+    throw new Error("Secret is empty");
+  }
+  const value = String(input);
+  if (isBytes32Hex(value)) return value.toLowerCase();
+  return ethers.keccak256(ethers.toUtf8Bytes(value));
+};
+
+// Hash of a bytes32 secret as stored in the lock
+export const hashSecret = (secret) => {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [secret])
+  );
+};
+
+// Hash of raw user input (hex secret or passphrase)
+export const hashSecretInput = (input) => hashSecret(encodeSecret(input));
+
+// Check a secret (raw input or bytes32) against a lock's hashedSecret
+export const verifySecret = (input, hashedSecret) => {
+  if (!input || !isBytes32Hex(hashedSecret)) return false;
+  try {
+    return hashSecretInput(input).toLowerCase() === hashedSecret.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+};
@@ -0,0 +1,393 @@
+import { ethers } from 'ethers';
+import { computeLockId, lockIdFromEvent } from './lock-id.js';
+import { getChainTime, formatExpiry } from './timeout.js';
+import { encodeSecret, hashSecret } from './secret.js';
+import { toSwapError, swapErrorFor } from './swap-errors.js';
+import { getTokenMetadata, formatTokenAmount } from './token-metadata.js';
+import { getPermitDomain, signPermit, PERMIT_VALIDITY } from './permit.js';
+
+// Framework-free access to the AtomicSwapERC20 contract.
+// Works with any ethers v6 runner: pass a signer to send transactions or a
+// provider for read-only use (balances, lock values, event history).
+// Locks on EIP-2612 tokens are approved with a signed permit unless
+// `usePermit` is false.
+
+export const SWAP_EVENT_TYPES = ['LockBuy', 'LockSell', 'Unlock', 'Retrieve', 'Decline'];
+
+// Normalize an asset or lock reference to bytes32. Empty input maps to the
+// zero hash, 0x-prefixed bytes32 is kept as-is and anything else is hashed.
+export const toBytes32Id = (value) => {
+  if (!value || String(value).trim() === '') return ethers.ZeroHash;
+  const trimmed = String(value).trim();
+  if (ethers.isHexString(trimmed, 32)) return trimmed;
+  return ethers.keccak256(ethers.toUtf8Bytes(trimmed));
+};
+
+// Convert a contract event (EventLog or ContractEventPayload) into the plain
+// object shape used throughout the app.
+export const formatSwapEvent = (event, timestamp = Date.now()) => {
+  const type = event.eventName || event.fragment?.name;
+  const args = event.args;
+  if (!args) return null;
+
+  const base = {
+    type,
+    token: args.token,
+    creator: args.creator,
+    recipient: args.recipient,
+    blockNumber: event.blockNumber ?? event.log?.blockNumber ?? null,
+    transactionHash: event.transactionHash ?? event.log?.transactionHash ?? null,
+    logIndex: event.index ?? event.log?.index ?? null,
+    timestamp
+  };
+
+  switch (type) {
+    case 'LockBuy':
+      return {
+        ...base,
+        hashedSecret: args.hashedSecret,
+        timeout: Number(args.timeout),
+        value: args.value.toString(),
+        sellAssetId: args.sellAssetId,
+        sellPrice: args.sellPrice.toString(),
+        lockId: args.lockId
+      };
+    case 'LockSell': {
+      const lockSell = {
+        ...base,
+        hashedSecret: args.hashedSecret,
+        timeout: Number(args.timeout),
+        value: args.value.toString(),
+        buyAssetId: args.buyAssetId,
+        buyLockId: args.buyLockId
+      };
+      // LockSell does not emit its lockId, so compute it from the lock terms
+      return { ...lockSell, lockId: lockIdFromEvent(lockSell) };
+    }
+    case 'Unlock':
+      return { ...base, lockId: args.lockId, secret: args.secret };
+    case 'Retrieve':
+    case 'Decline':
+      return { ...base, lockId: args.lockId };
+    default:
+      return null;
+  }
+};
+
+export class SwapClient {
+  constructor({ address, abi, tokenAbi, runner, usePermit = true }) {
+    if (!address) throw new Error("Swap contract address is required");
+    if (!abi || !tokenAbi) throw new Error("Swap and token ABIs are required");
+    if (!runner) throw new Error("A provider or signer is required");
+
+    this.address = address;
+    this.tokenAbi = tokenAbi;
+    this.runner = runner;
+    this.provider = runner.provider || runner;
+    this.signer = typeof runner.getAddress === 'function' ? runner : null;
+    this.contract = new ethers.Contract(address, abi, runner);
+    this.usePermit = usePermit;
+    this.permitEntry = null;
+  }
+
+  requireSigner() {
+    if (!this.signer) throw new Error("A signer is required to send transactions");
+    return this.signer;
+  }
+
+  async getAccount() {
+    return this.requireSigner().getAddress();
+  }
+
+  getTokenContract(tokenAddress) {
+    return new ethers.Contract(tokenAddress, this.tokenAbi, this.runner);
+  }
+
+  // Cached { address, decimals, symbol, name } of a token
+  getTokenMetadata(tokenAddress) {
+    return getTokenMetadata(this.provider, tokenAddress, this.tokenAbi);
+  }
+
+  // Balance of `owner` (defaults to the signer) with symbol and decimals.
+  async getTokenBalance(tokenAddress, owner) {
+    const holder = owner || await this.getAccount();
+    const { decimals, symbol } = await this.getTokenMetadata(tokenAddress);
+    const balance = await this.getTokenContract(tokenAddress).balanceOf(holder);
+    return {
+      balance: balance.toString(),
+      decimals,
+      symbol,
+      formatted: formatTokenAmount(balance, decimals)
+    };
+  }
+
+  async getAllowance(tokenAddress, owner) {
+    const holder = owner || await this.getAccount();
+    return this.getTokenContract(tokenAddress).allowance(holder, this.address);
+  }
+
+  // Set the swap contract's allowance to `amount` base units; 0 revokes it.
+  // Resolves to the approval receipt.
+  async approve(tokenAddress, amount) {
+    const token = new ethers.Contract(tokenAddress, this.tokenAbi, this.requireSigner());
+    try {
+      const tx = await token.approve(this.address, BigInt(amount));
+      return await tx.wait();
+    } catch (error) {
+      throw toSwapError(error, this.contract.interface);
+    }
+  }
+
+  // Approve the swap contract for `approveAmount` (default `amount`) unless
+  // the current allowance already covers `amount`. Resolves to the approval
+  // receipt, or null if no approval was needed.
+  async ensureAllowance(tokenAddress, amount, approveAmount = amount) {
+    const current = await this.getAllowance(tokenAddress);
+    if (current >= BigInt(amount)) return null;
+    return this.approve(tokenAddress, approveAmount);
+  }
+
+  // Whether the deployed contract has the *WithPermit entry points. Older
+  // deployments don't, so the runtime code is checked for their selector.
+  async supportsPermitEntry() {
+    if (this.permitEntry === null) {
+      const fragment = this.contract.interface.getFunction('lockBuyWithPermit');
+      this.permitEntry = fragment
+        ? this.provider.getCode(this.address)
+            .then(code => code.includes(fragment.selector.slice(2)))
+            .catch(() => false)
+        : Promise.resolve(false);
+    }
+    return this.permitEntry;
+  }
+
+  // Sign a permit for `amount` when the allowance doesn't cover it and both
+  // the token and the contract support permits. Resolves to the permit, or
+  // null when a regular approve is needed instead. The contract permits
+  // exactly the lock value, so any other `approveAmount` needs an approve.
+  async preparePermit(tokenAddress, amount, chainTime, approveAmount = amount) {
+    if (!this.usePermit || BigInt(approveAmount) !== BigInt(amount)) return null;
+    if (await this.getAllowance(tokenAddress) >= amount) return null;
+    if (!await this.supportsPermitEntry()) return null;
+
+    const domain = await getPermitDomain(this.provider, tokenAddress);
+    if (!domain) return null;
+    return signPermit(this.requireSigner(), {
+      tokenAddress,
+      domain,
+      spender: this.address,
+      value: amount,
+      deadline: chainTime + PERMIT_VALIDITY
+    });
+  }
+
+  // Timeout, balance, allowance and lock ID checks shared by lockBuy and lockSell.
+  // Resolves to { lockId, permit }: the lockId the contract will assign to
+  // the new lock and the permit to lock with, or null when approved already.
+  // A missing allowance is approved for `approveAmount` (default `value`).
+  async prepareLock({ token: tokenAddress, recipient, hashedSecret, timeout }, value, approveAmount = value) {
+    // The contract compares timeout with block.timestamp, so it must be an
+    // absolute time that is still in the future
+    const chainTime = await getChainTime(this.provider);
+    if (Number(timeout) <= chainTime) {
+      throw new Error(`Lock timeout ${timeout} (${formatExpiry(timeout)}) is not after the latest block time ${chainTime}`);
+    }
+
+    const account = await this.getAccount();
+    const lockId = computeLockId({ token: tokenAddress, creator: account, recipient, hashedSecret, timeout });
+    if (await this.getLockValue(lockId) !== 0n) {
+      throw swapErrorFor('LockAlreadyExists', [lockId]);
+    }
+
+    const balance = await this.getTokenContract(tokenAddress).balanceOf(account);
+    if (balance < value) {
+      const { decimals, symbol } = await this.getTokenMetadata(tokenAddress);
+      throw new Error(
+        `Insufficient token balance. You have ${formatTokenAmount(balance, decimals)} ${symbol} ` +
+        `but need ${formatTokenAmount(value, decimals)} ${symbol}`
+      );
+    }
+
+    const permit = await this.preparePermit(tokenAddress, value, chainTime, approveAmount);
+    if (!permit) {
+      await this.ensureAllowance(tokenAddress, value, approveAmount);
+    }
+    return { lockId, permit };
+  }
+
+  // Simulate a contract call, then send it and wait for it to be mined.
+  // The simulation surfaces custom errors with their revert data, which a
+  // mined failed transaction does not. `onSubmitted` is called with the
+  // transaction once the wallet has broadcast it. Failures are thrown as
+  // SwapContractError; `context` feeds the error message.
+  async send(method, args, { overrides, onSubmitted } = {}, context = {}) {
+    this.requireSigner();
+    const callArgs = overrides ? [...args, overrides] : args;
+    try {
+      await this.contract[method].staticCall(...callArgs);
+      const tx = await this.contract[method](...callArgs);
+      if (onSubmitted) onSubmitted(tx);
+      const receipt = await tx.wait();
+      return { tx, receipt };
+    } catch (error) {
+      throw toSwapError(error, this.contract.interface, context);
+    }
+  }
+
+  // Find the first log of `eventName` emitted by the swap contract in a receipt.
+  parseReceiptEvent(receipt, eventName) {
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.address.toLowerCase()) continue;
+      try {
+        const parsed = this.contract.interface.parseLog(log);
+        if (parsed && parsed.name === eventName) return parsed;
+      } catch (error) {
+        // Not one of our events
+      }
+    }
+    return null;
+  }
+
+  // `options.approveAmount` sets how much to approve if the allowance is short
+  async lockBuy({ token, recipient, hashedSecret, timeout, value, sellAssetId, sellPrice }, options = {}) {
+    const valueWei = BigInt(value);
+    const timeoutInt = Math.floor(Number(timeout));
+
+    const { lockId: expectedLockId, permit } = await this.prepareLock(
+      { token, recipient, hashedSecret, timeout: timeoutInt },
+      valueWei,
+      options.approveAmount ?? valueWei
+    );
+
+    const args = [
+      token,
+      recipient,
+      hashedSecret,
+      timeoutInt,
+      valueWei,
+      toBytes32Id(sellAssetId),
+      BigInt(sellPrice)
+    ];
+    const { tx, receipt } = permit
+      ? await this.send('lockBuyWithPermit', [...args, permit], options, { timeout: timeoutInt })
+      : await this.send('lockBuy', args, options, { timeout: timeoutInt });
+
+    // Cross-check the emitted lockId against our own computation
+    const event = this.parseReceiptEvent(receipt, 'LockBuy');
+    const lockId = event ? event.args.lockId : expectedLockId;
+    const lockIdVerified = lockId.toLowerCase() === expectedLockId.toLowerCase();
+    return { tx, receipt, event, lockId, lockIdVerified };
+  }
+
+  // `options.approveAmount` as for lockBuy
+  async lockSell({ token, recipient, hashedSecret, timeout, value, buyAssetId, buyLockId }, options = {}) {
+    const valueWei = BigInt(value);
+    const timeoutInt = Math.floor(Number(timeout));
+
+    const { lockId, permit } = await this.prepareLock(
+      { token, recipient, hashedSecret, timeout: timeoutInt },
+      valueWei,
+      options.approveAmount ?? valueWei
+    );
+
+    const args = [
+      token,
+      recipient,
+      hashedSecret,
+      timeoutInt,
+      valueWei,
+      toBytes32Id(buyAssetId),
+      toBytes32Id(buyLockId)
+    ];
+    const { tx, receipt } = permit
+      ? await this.send('lockSellWithPermit', [...args, permit], options, { timeout: timeoutInt })
+      : await this.send('lockSell', args, options, { timeout: timeoutInt });
+
+    // LockSell does not emit its lockId, so return the computed one
+    return { tx, receipt, event: this.parseReceiptEvent(receipt, 'LockSell'), lockId };
+  }
+
+  // `secret` may be bytes32 hex or a passphrase. When the lock's
+  // `hashedSecret` is known it is checked before anything is sent, and the
+  // lock must exist so the secret is never revealed for nothing.
+  async unlock({ token, creator, secret, timeout, hashedSecret }, options) {
+    const encodedSecret = encodeSecret(secret);
+    const computedHash = hashSecret(encodedSecret);
+    if (hashedSecret && computedHash.toLowerCase() !== hashedSecret.toLowerCase()) {
+      throw new Error("Secret does not match the lock's hashed secret");
+    }
+
+    const account = await this.getAccount();
+    const lockId = computeLockId({ token, creator, recipient: account, hashedSecret: computedHash, timeout });
+    if (await this.getLockValue(lockId) === 0n) {
+      throw swapErrorFor('LockNotFound', [lockId]);
+    }
+
+    const timeoutInt = Math.floor(Number(timeout));
+    return this.send('unlock', [token, creator, encodedSecret, timeoutInt], options, { timeout: timeoutInt });
+  }
+
+  async retrieve({ token, recipient, hashedSecret, timeout }, options) {
+    const timeoutInt = Math.floor(Number(timeout));
+    return this.send('retrieve', [token, recipient, hashedSecret, timeoutInt], options, { timeout: timeoutInt });
+  }
+
+  async decline({ token, creator, hashedSecret, timeout }, options) {
+    const timeoutInt = Math.floor(Number(timeout));
+    return this.send('decline', [token, creator, hashedSecret, timeoutInt], options, { timeout: timeoutInt });
+  }
+
+  async getLockValue(lockId) {
+    return this.contract.getLockValue(lockId);
+  }
+
+  // Query historical swap events between two blocks, newest first. Events
+  // are stamped with their block time in milliseconds.
+  async fetchEvents({ fromBlock = 0, toBlock = 'latest', types = SWAP_EVENT_TYPES } = {}) {
+    const blockTimes = new Map();
+    const getBlockTime = async (blockNumber) => {
+      if (!blockTimes.has(blockNumber)) {
+        const block = await this.provider.getBlock(blockNumber);
+        blockTimes.set(blockNumber, block ? block.timestamp * 1000 : Date.now());
+      }
+      return blockTimes.get(blockNumber);
+    };
+
+    const allEvents = [];
+    for (const type of types) {
+      const logs = await this.contract.queryFilter(this.contract.filters[type](), fromBlock, toBlock);
+      for (const log of logs) {
+        const formatted = formatSwapEvent(log, await getBlockTime(log.blockNumber));
+        if (formatted) allEvents.push(formatted);
+      }
+    }
+
+    allEvents.sort((a, b) => b.timestamp - a.timestamp);
+    return allEvents;
+  }
+
+  // Subscribe to live swap events. `handler` receives each formatted event;
+  // the returned function removes the subscriptions again.
+  subscribe(handler, types = SWAP_EVENT_TYPES) {
+    const listeners = types.map(type => {
+      const filter = this.contract.filters[type]();
+      const listener = (...args) => {
+        const payload = args[args.length - 1];
+        const formatted = formatSwapEvent(payload);
+        if (formatted) handler(formatted);
+      };
+      this.contract.on(filter, listener);
+      return { filter, listener };
+    });
+
+    return () => {
+      listeners.forEach(({ filter, listener }) => {
+        this.contract.off(filter, listener);
+      });
+    };
+  }
+
+  removeAllListeners() {
+    return this.contract.removeAllListeners();
+  }
+}
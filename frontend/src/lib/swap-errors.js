@@ -0,0 +1,110 @@
+import { formatExpiry } from './timeout.js';
+
+// Decodes AtomicSwapERC20 reverts into messages users can act on.
+
+export class SwapContractError extends Error {
+  constructor(message, { errorName = null, args = [], cause } = {}) {
+    super(message);
+    this.name = 'SwapContractError';
+    this.errorName = errorName;
+    this.args = args;
+    this.cause = cause;
+    this.code = cause?.code;
+  }
+}
+
+const shortId = (value) => {
+  const text = String(value);
+  return text.length > 12 ? `${text.substring(0, 10)}..` : text;
+};
+
+// Revert data can sit at different depths depending on the wallet and RPC
+const findRevertData = (error, depth = 0) => {
+  if (!error || typeof error !== 'object' || depth > 5) return null;
+  if (typeof error.data === 'string' && error.data.startsWith('0x') && error.data.length >= 10) {
+    return error.data;
+  }
+  return (
+    findRevertData(error.data, depth + 1) ||
+    findRevertData(error.error, depth + 1) ||
+    findRevertData(error.info?.error, depth + 1) ||
+    findRevertData(error.cause, depth + 1)
+  );
+};
+
+// Resolve an error thrown by a contract call to { name, args }, or null if
+// it carries no revert data the swap ABI understands.
+export const decodeSwapError = (error, iface) => {
+  if (error?.revert?.name) {
+    return { name: error.revert.name, args: [...error.revert.args] };
+  }
+  const data = findRevertData(error);
+  if (!data || !iface) return null;
+  try {
+    const parsed = iface.parseError(data);
+    if (parsed) return { name: parsed.name, args: [...parsed.args] };
+  } catch (parseError) {
+    // Unknown selector
+  }
+  return null;
+};
+
+const describeDecoded = ({ name, args }, context) => {
+  switch (name) {
+    case 'LockAlreadyExists':
+      return `Lock ${shortId(args[0])} already exists`;
+    case 'LockNotFound':
+      return `Lock ${shortId(args[0])} not found. Check the token, counterparty, secret and timeout.`;
+    case 'LockTimedOut':
+      return context.timeout
+        ? `Lock ${shortId(args[0])} timed out at ${formatExpiry(context.timeout)}`
+        : `Lock ${shortId(args[0])} has timed out`;
+    case 'LockNotTimedOut':
+      return context.timeout
+        ? `Lock ${shortId(args[0])} has not timed out yet. It can be retrieved after ${formatExpiry(context.timeout)}.`
+        : `Lock ${shortId(args[0])} has not timed out yet`;
+    case 'TransferInFailed':
+      return `Transfer of ${args[2].toString()} units of token ${args[0]} from ${args[1]} into the swap contract failed. Check the balance and allowance.`;
+    case 'TransferOutFailed':
+      return `Transfer of ${args[2].toString()} units of token ${args[0]} to ${args[1]} failed`;
+    case 'Error':
+      return `Transaction reverted: ${args[0]}`;
+    case 'Panic':
+      return `Transaction reverted with panic code ${args[0].toString()}`;
+    default:
+      return `Transaction reverted with ${name}`;
+  }
+};
+
+// Build the error the contract would raise, for checks done before sending
+export const swapErrorFor = (name, args, context = {}) => {
+  return new SwapContractError(describeDecoded({ name, args }, context), { errorName: name, args });
+};
+
+// User-facing message for any error raised while talking to the swap
+// contract. `context.timeout` lets timeout errors name the expiry.
+export const describeSwapError = (error, iface, context = {}) => {
+  if (error instanceof SwapContractError) return error.message;
+
+  const decoded = decodeSwapError(error, iface);
+  if (decoded) return describeDecoded(decoded, context);
+
+  if (error?.code === 'ACTION_REJECTED') {
+    return "Transaction was rejected in the wallet";
+  }
+  if (error?.code === 'INSUFFICIENT_FUNDS') {
+    return "Not enough native currency to pay for gas";
+  }
+  return error?.shortMessage || error?.reason || error?.message || String(error);
+};
+
+// Wrap an error in a SwapContractError carrying the decoded revert, if any
+export const toSwapError = (error, iface, context = {}) => {
+  if (error instanceof SwapContractError) return error;
+  const decoded = decodeSwapError(error, iface);
+  return new SwapContractError(describeSwapError(error, iface, context), {
+    errorName: decoded ? decoded.name : null,
+    args: decoded ? decoded.args : [],
+    cause: error
+  });
+};
@@ -0,0 +1,124 @@
+import { getEventLockId } from './lock-id.js';
+
+// Derives swap deals from raw contract events. Each LockBuy or LockSell is a
+// lock; Unlock, Decline and Retrieve events resolve a lock by its lockId.
+// A deal is a LockBuy together with every LockSell that names it as
+// buyLockId. LockSells whose buy lock is unknown form a deal of their own.
+
+export const SWAP_STATES = {
+  OPEN: 'open',
+  COUNTERED: 'countered',
+  UNLOCKED: 'unlocked',
+  DECLINED: 'declined',
+  EXPIRED_RETRIEVABLE: 'expired-retrievable',
+  RETRIEVED: 'retrieved'
+};
+
+export const SWAP_STATE_LABELS = {
+  [SWAP_STATES.OPEN]: 'Open',
+  [SWAP_STATES.COUNTERED]: 'Countered',
+  [SWAP_STATES.UNLOCKED]: 'Unlocked',
+  [SWAP_STATES.DECLINED]: 'Declined',
+  [SWAP_STATES.EXPIRED_RETRIEVABLE]: 'Expired - retrievable',
+  [SWAP_STATES.RETRIEVED]: 'Retrieved'
+};
+
+const RESOLUTION_STATES = {
+  Unlock: SWAP_STATES.UNLOCKED,
+  Decline: SWAP_STATES.DECLINED,
+  Retrieve: SWAP_STATES.RETRIEVED
+};
+
+const normalizeId = (id) => (id ? id.toLowerCase() : null);
+
+// State of a single lock at chain time `now` (seconds)
+export const getLockState = (lock, now) => {
+  if (lock.resolution) return RESOLUTION_STATES[lock.resolution.type];
+  if (lock.timeout <= now) return SWAP_STATES.EXPIRED_RETRIEVABLE;
+  return SWAP_STATES.OPEN;
+};
+
+const buildLock = (event, resolutions, now) => {
+  const lockId = getEventLockId(event);
+  const lock = {
+    lockId,
+    kind: event.type === 'LockBuy' ? 'buy' : 'sell',
+    event,
+    token: event.token,
+    creator: event.creator,
+    recipient: event.recipient,
+    hashedSecret: event.hashedSecret,
+    timeout: event.timeout,
+    value: event.value,
+    resolution: resolutions.get(normalizeId(lockId)) || null
+  };
+  return { ...lock, state: getLockState(lock, now) };
+};
+
+// Overall deal state. Anything needing action (an expired lock waiting to be
+// retrieved) wins, then final outcomes, then progress.
+const getDealState = (locks, sellLocks) => {
+  const states = locks.map(lock => lock.state);
+  if (states.includes(SWAP_STATES.EXPIRED_RETRIEVABLE)) return SWAP_STATES.EXPIRED_RETRIEVABLE;
+  if (states.includes(SWAP_STATES.RETRIEVED)) return SWAP_STATES.RETRIEVED;
+  if (states.includes(SWAP_STATES.DECLINED)) return SWAP_STATES.DECLINED;
+  if (states.includes(SWAP_STATES.UNLOCKED)) return SWAP_STATES.UNLOCKED;
+  if (sellLocks.length > 0) return SWAP_STATES.COUNTERED;
+  return SWAP_STATES.OPEN;
+};
+
+const latestTimestamp = (locks) => Math.max(
+  ...locks.flatMap(lock => [lock.event.timestamp || 0, lock.resolution?.timestamp || 0])
+);
+
+// Group `events` into deals, newest activity first. `now` is the current
+// chain time in seconds and decides which open locks have expired.
+export const buildSwaps = (events, now = Math.floor(Date.now() / 1000)) => {
+  const resolutions = new Map();
+  events
+    .filter(event => RESOLUTION_STATES[event.type])
+    .forEach(event => {
+      resolutions.set(normalizeId(event.lockId), event);
+    });
+
+  const buyLocks = new Map();
+  const sellLocks = [];
+  events.forEach(event => {
+    if (event.type === 'LockBuy') {
+      const lock = buildLock(event, resolutions, now);
+      buyLocks.set(normalizeId(lock.lockId), lock);
+    } else if (event.type === 'LockSell') {
+      sellLocks.push(buildLock(event, resolutions, now));
+    }
+  });
+
+  const deals = new Map();
+  buyLocks.forEach((buy, id) => {
+    deals.set(id, { id: buy.lockId, buy, sells: [] });
+  });
+  sellLocks.forEach(sell => {
+    const buyId = normalizeId(sell.event.buyLockId);
+    if (deals.has(buyId)) {
+      deals.get(buyId).sells.push(sell);
+    } else {
+      deals.set(normalizeId(sell.lockId), { id: sell.lockId, buy: null, sells: [sell] });
+    }
+  });
+
+  return [...deals.values()]
+    .map(deal => {
+      const locks = [deal.buy, ...deal.sells].filter(Boolean);
+      return {
+        ...deal,
+        locks,
+        state: getDealState(locks, deal.sells),
+        // Both sides have been unlocked: the swap went through
+        completed: Boolean(
+          deal.buy && deal.buy.state === SWAP_STATES.UNLOCKED &&
+          deal.sells.some(sell => sell.state === SWAP_STATES.UNLOCKED)
+        ),
+        updatedAt: latestTimestamp(locks)
+      };
+    })
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
@@ -0,0 +1,92 @@
+// Lock timeouts are absolute Unix timestamps compared against
+// block.timestamp, never durations. These helpers turn user input into such
+// a timestamp based on the latest block time.
+
+// Locks expiring sooner than this leave too little time to complete a swap
+export const MIN_LOCK_DURATION = 15 * 60;
+
+// A seller's lock must expire at least this long before the buyer's lock it
+// answers, so the seller can still claim the buyer's lock after the secret
+// is revealed
+export const DEFAULT_SAFETY_MARGIN = 60 * 60;
+
+export const DURATION_UNITS = {
+  minutes: 60,
+  hours: 60 * 60,
+  days: 24 * 60 * 60
+};
+
+// Timestamp of the latest block in seconds. Falls back to the local clock
+// when no provider is available.
+export const getChainTime = async (provider) => {
+  if (provider) {
+    const block = await provider.getBlock('latest');
+    if (block) return Number(block.timestamp);
+  }
+  return Math.floor(Date.now() / 1000);
+};
+
+// Expiry for a lock that should last `amount` `unit`s from `chainTime`.
+export const durationToExpiry = (amount, unit, chainTime) => {
+  const seconds = Number(amount) * (DURATION_UNITS[unit] || 1);
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  return Math.floor(chainTime + seconds);
+};
+
+// Expiry for a value from an <input type="datetime-local">, interpreted in
+// the browser's time zone.
+export const dateTimeToExpiry = (dateTimeValue) => {
+  if (!dateTimeValue) return null;
+  const millis = new Date(dateTimeValue).getTime();
+  if (Number.isNaN(millis)) return null;
+  return Math.floor(millis / 1000);
+};
+
+// Value for an <input type="datetime-local"> at or just before `expiry`, in
+// the browser's time zone. The input has minute precision.
+export const expiryToDateTime = (expiry) => {
+  const date = new Date(Number(expiry) * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Latest expiry a LockSell may use when answering a LockBuy that expires at
+// `buyExpiry`
+export const latestSellExpiry = (buyExpiry, margin = DEFAULT_SAFETY_MARGIN) => {
+  return Number(buyExpiry) - margin;
+};
+
+// Classify an expiry relative to the chain time:
+//   'invalid'  - not a timestamp
+//   'past'     - already expired
+//   'too-soon' - expires within `minDuration` seconds
+//   'ok'       - usable
+export const evaluateExpiry = (expiry, chainTime, minDuration = MIN_LOCK_DURATION) => {
+  const timestamp = Number(expiry);
+  if (!expiry || !Number.isFinite(timestamp) || timestamp <= 0) {
+    return { status: 'invalid', remaining: null };
+  }
+  const remaining = timestamp - chainTime;
+  if (remaining <= 0) return { status: 'past', remaining };
+  if (remaining < minDuration) return { status: 'too-soon', remaining };
+  return { status: 'ok', remaining };
+};
+
+export const formatExpiry = (expiry) => {
+  if (!expiry) return '';
+  return new Date(Number(expiry) * 1000).toLocaleString();
+};
+
+// Human readable duration such as "2h 5m" or "45s"
+export const formatDuration = (seconds) => {
+  const total = Math.abs(Math.floor(Number(seconds)));
+  const days = Math.floor(total / DURATION_UNITS.days);
+  const hours = Math.floor((total % DURATION_UNITS.days) / DURATION_UNITS.hours);
+  const minutes = Math.floor((total % DURATION_UNITS.hours) / DURATION_UNITS.minutes);
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (hours) parts.push(`${hours}h`);
+  if (minutes) parts.push(`${minutes}m`);
+  return parts.length ? parts.join(' ') : `${total % 60}s`;
+};
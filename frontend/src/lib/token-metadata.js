@@ -0,0 +1,146 @@
+import { ethers } from 'ethers';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('token-metadata');
+
+// Token metadata (decimals, symbol, name) and conversion between the human
+// amounts users type and the base units the contracts use.
+//
+// Metadata is cached per chain and token for the session, and persisted to
+// localStorage in the browser so it is only read from chain once.
+
+const STORAGE_KEY = 'p2pswap:token-metadata';
+
+const cache = new Map();
+const pending = new Map();
+let storageLoaded = false;
+
+const getKey = (chainId, token) => `${chainId.toString()}:${token.toLowerCase()}`;
+
+const loadStorage = () => {
+  if (storageLoaded) return;
+  storageLoaded = true;
+  if (typeof localStorage === 'undefined') return;
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    Object.entries(stored).forEach(([key, metadata]) => cache.set(key, metadata));
+  } catch (error) {
+    logger.warn("Ignoring unreadable token metadata cache:", error);
+  }
+};
+
+const saveStorage = () => {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(cache)));
+  } catch (error) {
+    logger.warn("Could not persist token metadata:", error);
+  }
+};
+
+// Optional string getters; some tokens omit them or return bytes32
+const readOptionalString = async (contract, method) => {
+  try {
+    return await contract[method]();
+  } catch (error) {
+    try {
+      const raw = await contract.runner.provider.call({
+        to: await contract.getAddress(),
+        data: contract.interface.getFunction(method).selector
+      });
+      return ethers.decodeBytes32String(raw);
+    } catch (fallbackError) {
+      return '';
+    }
+  }
+};
+
+// Add metadata known ahead of time, e.g. the tokens listed in the network
+// registry, so they need no chain reads
+export const seedTokenMetadata = (chainId, tokens = []) => {
+  loadStorage();
+  tokens.forEach(token => {
+    if (token.decimals === undefined || token.decimals === null) return;
+    const address = ethers.getAddress(token.address);
+    cache.set(getKey(chainId, address), {
+      address,
+      decimals: Number(token.decimals),
+      symbol: token.symbol || '',
+      name: token.name || ''
+    });
+  });
+};
+
+// Metadata already in the cache, or null
+export const getCachedTokenMetadata = (chainId, token) => {
+  if (chainId === null || chainId === undefined || !ethers.isAddress(token)) return null;
+  loadStorage();
+  return cache.get(getKey(chainId, token)) || null;
+};
+
+// Resolve { address, decimals, symbol, name } for `token`. Throws when the
+// contract does not report its decimals, since amounts can't be converted
+// exactly without them.
+export const getTokenMetadata = async (provider, token, tokenAbi) => {
+  if (!ethers.isAddress(token)) {
+    throw new Error(`Invalid token address: ${token}`);
+  }
+  const { chainId } = await provider.getNetwork();
+  const key = getKey(chainId, token);
+
+  const cached = getCachedTokenMetadata(chainId, token);
+  if (cached) return cached;
+  if (pending.has(key)) return pending.get(key);
+
+  const request = (async () => {
+    const address = ethers.getAddress(token);
+    const contract = new ethers.Contract(address, tokenAbi, provider);
+
+    let decimals;
+    try {
+      decimals = Number(await contract.decimals());
+    } catch (error) {
+      throw new Error(`Could not read decimals of token ${address}. Is it an ERC20 token on this network?`);
+    }
+
+    const [symbol, name] = await Promise.all([
+      readOptionalString(contract, 'symbol'),
+      readOptionalString(contract, 'name')
+    ]);
+
+    const metadata = { address, decimals, symbol, name };
+    cache.set(key, metadata);
+    saveStorage();
+    return metadata;
+  })();
+
+  pending.set(key, request);
+  try {
+    return await request;
+  } finally {
+    pending.delete(key);
+  }
+};
+
+// Exact conversion of a human amount ("1.5") to base units
+export const parseTokenAmount = (amount, decimals, label = "amount") => {
+  const text = String(amount ?? '').trim();
+  if (!text) {
+    throw new Error(`Enter the ${label}`);
+  }
+  if (!/^\d*\.?\d*$/.test(text) || text === '.') {
+    throw new Error(`Invalid ${label}: ${text}. Use a plain decimal number.`);
+  }
+  const fraction = text.split('.')[1] || '';
+  if (fraction.length > decimals) {
+    throw new Error(`Invalid ${label}: this token has at most ${decimals} decimal places`);
+  }
+  return ethers.parseUnits(text, decimals);
+};
+
+// Human amount for base units, without a trailing ".0"
+export const formatTokenAmount = (value, decimals) => {
+  if (value === undefined || value === null || value === '') return '0';
+  const formatted = ethers.formatUnits(BigInt(value), decimals);
+  return formatted.endsWith('.0') ? formatted.slice(0, -2) : formatted;
+};
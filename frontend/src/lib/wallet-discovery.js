@@ -0,0 +1,72 @@
+// Injected wallet discovery (EIP-6963).
+//
+// Every installed wallet announces itself with a `eip6963:announceProvider`
+// event carrying { info: { uuid, name, icon, rdns }, provider }. Wallets that
+// predate EIP-6963 only set window.ethereum; it is listed as "Browser
+// Wallet" unless an announced wallet already provides it. window.ethereum is
+// only ever read.
+//
+// The chosen wallet's rdns is remembered in the browser so it can be
+// reconnected on the next visit; uuids change on every page load.
+
+const WALLET_KEY = 'p2pswap:wallet';
+
+export const LEGACY_WALLET_RDNS = 'injected';
+
+const legacyWallet = (provider) => ({
+  info: {
+    uuid: LEGACY_WALLET_RDNS,
+    name: 'Browser Wallet',
+    icon: null,
+    rdns: LEGACY_WALLET_RDNS
+  },
+  provider
+});
+
+// Watch for wallets. `onChange` receives the full list whenever it grows;
+// the returned function stops watching.
+export const watchWallets = (onChange) => {
+  if (typeof window === 'undefined') return () => {};
+
+  const announced = new Map();
+
+  const emit = () => {
+    const wallets = [...announced.values()];
+    const injected = window.ethereum;
+    if (injected && !wallets.some(wallet => wallet.provider === injected)) {
+      wallets.push(legacyWallet(injected));
+    }
+    onChange(wallets);
+  };
+
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info || !info.rdns || !provider) return;
+    // A wallet may announce more than once; keep one entry per rdns
+    announced.set(info.rdns, { info, provider });
+    emit();
+  };
+
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  emit();
+
+  return () => {
+    window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+  };
+};
+
+export const getRememberedWallet = () => {
+  if (typeof localStorage === 'undefined') return null;
+  return localStorage.getItem(WALLET_KEY);
+};
+
+export const rememberWallet = (rdns) => {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(WALLET_KEY, rdns);
+};
+
+export const forgetWallet = () => {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.removeItem(WALLET_KEY);
+};
@@ -0,0 +1,143 @@
+import { ethers } from 'ethers';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('wallet-session');
+
+// The session with one wallet: the account it shares with the app and the
+// chain it is on.
+//
+// The session follows the wallet's EIP-1193 `accountsChanged`,
+// `chainChanged` and `disconnect` events. Wallets that can't emit events are
+// polled with `eth_accounts` and `eth_chainId` instead, and only while the
+// page is visible. However a change is noticed, `onChange` hears about it
+// once, with the new and the previous state.
+
+export const SESSION_STATUS = {
+  CONNECTED: 'connected',
+  DISCONNECTED: 'disconnected'
+};
+
+export const DISCONNECTED_SESSION = Object.freeze({
+  status: SESSION_STATUS.DISCONNECTED,
+  account: null,
+  chainId: null
+});
+
+// How often wallets without events are polled, in milliseconds
+export const SESSION_POLL_INTERVAL = 4000;
+
+const WALLET_EVENTS = ['accountsChanged', 'chainChanged', 'disconnect'];
+
+// First shared account as a checksummed address, or null
+const toAccount = (accounts) => {
+  const first = Array.isArray(accounts) ? accounts[0] : null;
+  return typeof first === 'string' && ethers.isAddress(first) ? ethers.getAddress(first) : null;
+};
+
+// Wallets report chain IDs as hex strings, decimal strings or numbers
+const toChainId = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  try {
+    return BigInt(value);
+  } catch (error) {
+    logger.warn("Ignoring unreadable chain ID:", value);
+    return null;
+  }
+};
+
+export class WalletSession {
+  constructor(ethereumProvider, { onChange = () => {}, pollInterval = SESSION_POLL_INTERVAL } = {}) {
+    this.ethereum = ethereumProvider;
+    this.onChange = onChange;
+    this.pollInterval = pollInterval;
+    this.state = DISCONNECTED_SESSION;
+    this.listening = false;
+    this.poll = null;
+    this.handlers = {
+      accountsChanged: (accounts) => this.update({ account: toAccount(accounts) }),
+      chainChanged: (chainId) => this.update({ chainId: toChainId(chainId) }),
+      // The wallet lost its connection to every chain
+      disconnect: () => this.update({ account: null })
+    };
+  }
+
+  // Ask the wallet for access; the wallet may prompt the user
+  connect() {
+    return this.read('eth_requestAccounts');
+  }
+
+  // Pick up access granted on an earlier visit, without prompting
+  restore() {
+    return this.read('eth_accounts');
+  }
+
+  async read(accountsMethod = 'eth_accounts') {
+    const [accounts, chainId] = await Promise.all([
+      this.ethereum.request({ method: accountsMethod }),
+      this.ethereum.request({ method: 'eth_chainId' })
+    ]);
+    return this.update({ account: toAccount(accounts), chainId: toChainId(chainId) });
+  }
+
+  // Apply `changes` to the state; `onChange` only runs when something differs
+  update(changes) {
+    const next = { ...this.state, ...changes };
+    if (next.account === this.state.account && next.chainId === this.state.chainId) {
+      return this.state;
+    }
+
+    const previous = this.state;
+    this.state = Object.freeze({
+      ...next,
+      status: next.account ? SESSION_STATUS.CONNECTED : SESSION_STATUS.DISCONNECTED
+    });
+    this.onChange(this.state, previous);
+    return this.state;
+  }
+
+  // Follow the wallet through its events, or poll it when it has none
+  start() {
+    this.stop();
+    if (this.listen()) return;
+
+    logger.warn(`Wallet does not emit events, polling it every ${this.pollInterval}ms`);
+    this.poll = setInterval(() => {
+      if (typeof document !== 'undefined' && document.hidden) return;
+      this.read().catch(error => logger.warn("Wallet poll failed:", error));
+    }, this.pollInterval);
+  }
+
+  stop() {
+    if (this.listening) {
+      WALLET_EVENTS.forEach(event => {
+        try {
+          this.ethereum.removeListener(event, this.handlers[event]);
+        } catch (error) {
+          logger.warn(`Could not remove the wallet's ${event} listener:`, error);
+        }
+      });
+      this.listening = false;
+    }
+    if (this.poll) {
+      clearInterval(this.poll);
+      this.poll = null;
+    }
+  }
+
+  // Subscribe to the wallet's events. False when it can't emit them.
+  listen() {
+    if (typeof this.ethereum.on !== 'function' || typeof this.ethereum.removeListener !== 'function') {
+      return false;
+    }
+    try {
+      WALLET_EVENTS.forEach(event => this.ethereum.on(event, this.handlers[event]));
+      this.listening = true;
+      return true;
+    } catch (error) {
+      logger.warn("Could not subscribe to wallet events:", error);
+      this.listening = true;
+      this.stop();
+      return false;
+    }
+  }
+}